@@ -0,0 +1,195 @@
+import express from "express";
+import cors from "cors";
+import { createAdminAuth } from "./lib/adminAuth.js";
+import { createCacheStore } from "./lib/cacheStore.js";
+import { CLIENT_KEY_HEADER, loadClientRegistry } from "./lib/clients.js";
+import { NotFoundError, sendError } from "./lib/http.js";
+import { configureLoggerFromEnv, logger } from "./lib/logger.js";
+import { createMetrics } from "./lib/metrics.js";
+import { createQuotaTrackerFromEnv } from "./lib/quota.js";
+import { createRecordingUpstreamFromEnv } from "./lib/recorder.js";
+import { createRecordStoreFromEnv } from "./lib/recordStore.js";
+import { getRequestContext, requestContextMiddleware } from "./lib/requestContext.js";
+import { createSpoonacularClient } from "./lib/spoonacular.js";
+import { createUpstreamClientFromEnv } from "./lib/upstream.js";
+import { ValidationError } from "./lib/validation.js";
+import { adminRoutes } from "./routes/admin.js";
+import { batchRoutes } from "./routes/batch.js";
+import { collectionRoutes } from "./routes/collections.js";
+import { dietaryProfileRoutes } from "./routes/dietaryProfile.js";
+import { docsRoutes } from "./routes/docs.js";
+import { ingredientRoutes } from "./routes/ingredients.js";
+import { mealPlanRoutes } from "./routes/mealPlans.js";
+import { pantryRoutes } from "./routes/pantry.js";
+import { recipeRoutes } from "./routes/recipes.js";
+import { shoppingListRoutes } from "./routes/shoppingList.js";
+import { statusRoutes } from "./routes/status.js";
+
+// Routes that never need a client key
+const PUBLIC_PATHS = new Set(["/", "/api/health", "/api/openapi.json", "/api/docs", "/metrics"]);
+
+// Routes that need admin credentials
+const ADMIN_PATHS = ["/api/debug", "/api/cache", "/api/admin"];
+
+// Build the services the routes share from the environment
+export async function createServices(env = process.env) {
+  // JSON logs at LOG_LEVEL, with the Spoonacular key redacted
+  configureLoggerFromEnv(env);
+
+  // Prometheus metrics served on /metrics
+  const metrics = createMetrics();
+
+  // Cache store (memory or file, see CACHE_STORE) with 1-hour default expiration
+  const cache = createCacheStore(env);
+
+  // Spoonacular points accounting and daily budget (see SPOONACULAR_DAILY_BUDGET)
+  const quota = createQuotaTrackerFromEnv(env);
+
+  // Every Spoonacular call goes through this client (timeouts, retries, circuit
+  // breaker), recorded or replayed from disk when UPSTREAM_MODE asks for it
+  const upstream = createRecordingUpstreamFromEnv(createUpstreamClientFromEnv(env), env);
+
+  // Issued client keys and their limits (see CLIENT_KEYS_FILE); disabled when unset
+  const clients = await loadClientRegistry(env);
+
+  metrics.gauge("cache_entries", "Entries in the cache store", async () => (await cache.keys()).length);
+  metrics.gauge("spoonacular_quota_points_used_today", "Spoonacular points used today", async () => (await quota.report()).pointsUsedToday);
+  metrics.gauge("spoonacular_quota_points_left", "Points left today as last reported by Spoonacular", async () => {
+    const { upstream: reported, date } = await quota.report();
+    return reported?.date === date ? reported.left : null;
+  });
+  metrics.gauge("spoonacular_quota_budget_points_left", "Points left in SPOONACULAR_DAILY_BUDGET today", async () => (await quota.report()).pointsLeftInBudget);
+  metrics.gauge("spoonacular_circuit_open", "1 while the circuit breaker is open or half-open", () => (upstream.health().circuit === "closed" ? 0 : 1));
+
+  return {
+    env,
+    metrics,
+    cache,
+    quota,
+    upstream,
+    clients,
+    spoonacular: createSpoonacularClient({ env, cache, quota, upstream, clients, metrics }),
+    // Server-side meal plans, persisted under DATA_DIR
+    mealPlans: createRecordStoreFromEnv("mealPlans", env),
+    // Users' recipe collections (favorites, ...), persisted under DATA_DIR
+    collections: createRecordStoreFromEnv("collections", env),
+    // Users' pantries, persisted under DATA_DIR
+    pantries: createRecordStoreFromEnv("pantries", env),
+    // Users' dietary profiles, applied to recipe searches, persisted under DATA_DIR
+    dietaryProfiles: createRecordStoreFromEnv("dietaryProfiles", env),
+    // Admin credentials (see ADMIN_TOKEN / ADMIN_USER + ADMIN_PASSWORD)
+    adminAuth: createAdminAuth(env)
+  };
+}
+
+// Create the Express app without listening, so tests can mount it on any port.
+// Services default to ones built from `env`.
+export async function createApp({ env = process.env, services } = {}) {
+  services = services || await createServices(env);
+  const { adminAuth, clients, metrics } = services;
+
+  const app = express();
+  app.locals.services = services;
+
+  app.use(requestContextMiddleware);
+
+  // Access log and request metrics, once the response is sent. Routes are
+  // labeled by their pattern (/api/recipe/:id), unknown paths as "unmatched".
+  const httpRequests = metrics.counter("http_requests_total", "Requests by method, route and status");
+  const httpDuration = metrics.histogram("http_request_duration_seconds", "Request latency by method and route");
+  app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+      logger.info("Request", {
+        requestId: req.id,
+        ...(req.client && { client: req.client.name }),
+        method: req.method,
+        path: req.originalUrl,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1e6) / 1e3
+      });
+    });
+    next();
+  });
+
+  // Middleware to parse JSON requests
+  app.use(express.json());
+
+  // Enable CORS - all origins unless CORS_ORIGINS lists the allowed ones
+  app.use(cors({
+    origin: env.CORS_ORIGINS ? env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : true,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-User-Id', 'X-Request-Id'],
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Request-Id']
+  }));
+
+  // Require an issued client key and apply its rate limit and daily cap.
+  // Admin credentials skip both.
+  app.use((req, res, next) => {
+    if (adminAuth.verify(req.get("Authorization"))) {
+      req.isAdmin = true;
+      return next();
+    }
+    if (!clients.enabled || PUBLIC_PATHS.has(req.path)) return next();
+
+    try {
+      const client = clients.authenticate(req.get(CLIENT_KEY_HEADER));
+      res.set(clients.consume(client));
+      req.client = client;
+      getRequestContext().client = client;
+      next();
+    } catch (err) {
+      sendError(res, err, err.status === 401 ? "Unauthorized" : "Too many requests");
+    }
+  });
+
+  // Admin routes accept admin credentials or a client key marked "admin"
+  app.use(ADMIN_PATHS, (req, res, next) => {
+    if (req.isAdmin || req.client?.admin) return next();
+
+    if (!adminAuth.enabled && !clients.enabled) {
+      return res.status(403).json({
+        error: "Forbidden",
+        code: "ADMIN_DISABLED",
+        details: "Admin routes are disabled; set ADMIN_TOKEN or ADMIN_USER and ADMIN_PASSWORD"
+      });
+    }
+    res.set("WWW-Authenticate", 'Bearer realm="admin", Basic realm="admin"');
+    res.status(401).json({ error: "Unauthorized", code: "ADMIN_REQUIRED", details: "Admin credentials are required" });
+  });
+
+  app.use(statusRoutes(services));
+  app.use(adminRoutes(services));
+  app.use(recipeRoutes(services));
+  app.use(ingredientRoutes(services));
+  app.use(shoppingListRoutes(services));
+  app.use(mealPlanRoutes(services));
+  app.use(collectionRoutes(services));
+  app.use(pantryRoutes(services));
+  app.use(dietaryProfileRoutes(services));
+  app.use(batchRoutes(app));
+  app.use(docsRoutes(app, { publicPaths: PUBLIC_PATHS, adminPaths: ADMIN_PATHS }));
+
+  // Paths no route answers, in the same shape as batched ones (lib/batch.js)
+  app.use((req, res) => {
+    sendError(res, new NotFoundError(`Cannot ${req.method} ${req.path}`), "Not found");
+  });
+
+  // Errors passed on by middleware; a body that isn't JSON is a validation error
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === "entity.parse.failed") {
+      return sendError(res, new ValidationError([{ in: "body", field: "body", message: "must be valid JSON" }]), "Invalid request parameters");
+    }
+    if (!err.status || err.status >= 500) logger.error("Unhandled error", { error: err });
+    sendError(res, err, "Request failed");
+  });
+
+  return app;
+}
@@ -0,0 +1,41 @@
+import { createHash, timingSafeEqual } from "crypto";
+
+// Compare secrets in constant time (hashing first so lengths always match)
+function safeEqual(a, b) {
+  const digest = value => createHash("sha256").update(String(value)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+// Admin credentials from the environment, either or both of:
+//   ADMIN_TOKEN                  -> "Authorization: Bearer <token>"
+//   ADMIN_USER + ADMIN_PASSWORD  -> "Authorization: Basic <base64 user:password>"
+export function createAdminAuth(env = process.env) {
+  const token = env.ADMIN_TOKEN || null;
+  const user = env.ADMIN_USER || null;
+  const password = env.ADMIN_PASSWORD || null;
+  const basicEnabled = !!(user && password);
+
+  return {
+    enabled: !!token || basicEnabled,
+
+    // True when the request's Authorization header carries valid admin credentials
+    verify(authorization) {
+      if (!authorization) return false;
+      const [scheme, credentials = ""] = authorization.split(" ");
+
+      if (scheme.toLowerCase() === "bearer" && token) {
+        return safeEqual(credentials, token);
+      }
+      if (scheme.toLowerCase() === "basic" && basicEnabled) {
+        const decoded = Buffer.from(credentials, "base64").toString("utf8");
+        const separator = decoded.indexOf(":");
+        if (separator === -1) return false;
+        // Check both halves so a wrong user takes as long as a wrong password
+        const userMatches = safeEqual(decoded.slice(0, separator), user);
+        const passwordMatches = safeEqual(decoded.slice(separator + 1), password);
+        return userMatches && passwordMatches;
+      }
+      return false;
+    }
+  };
+}
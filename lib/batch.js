@@ -0,0 +1,65 @@
+import { IncomingMessage, ServerResponse } from "http";
+import { Socket } from "net";
+import { NotFoundError, sendError } from "./http.js";
+
+// Marks requests made by dispatch, so /api/batch can refuse to run inside a batch
+const SUB_REQUEST = Symbol("batch sub-request");
+
+// Request headers that describe the outer request's body, not a sub-request's
+const BODY_HEADERS = ["content-length", "transfer-encoding", "content-type"];
+
+// Run one request through the Express app in-process, with the same
+// middleware (client keys, admin gate), validation and cache as over HTTP.
+// `body` is handed to the routes already parsed. Unknown routes and errors
+// no route handled answer in the usual error format. Resolves to
+// { status, headers, body } with a JSON body parsed.
+export function dispatch(app, { method, url, headers = {}, body }) {
+  return new Promise((resolve, reject) => {
+    const req = new IncomingMessage(new Socket());
+    req.method = method;
+    req.url = url;
+    req.headers = Object.fromEntries(
+      Object.entries(headers).filter(([name]) => !BODY_HEADERS.includes(name.toLowerCase()))
+    );
+    req.body = body;
+    req[SUB_REQUEST] = true;
+
+    const res = new ServerResponse(req);
+    const chunks = [];
+    res.write = (chunk, encoding) => {
+      chunks.push(Buffer.from(chunk, encoding));
+      return true;
+    };
+    res.end = (chunk, encoding) => {
+      if (chunk && typeof chunk !== "function") res.write(chunk, typeof encoding === "string" ? encoding : undefined);
+
+      const text = Buffer.concat(chunks).toString("utf8");
+      let parsed = text;
+      if (/json/.test(res.getHeader("Content-Type") || "")) {
+        try {
+          parsed = JSON.parse(text);
+        } catch {
+          // keep the text
+        }
+      }
+      resolve({ status: res.statusCode, headers: res.getHeaders(), body: parsed });
+      // For the access log and request metrics
+      res.emit("finish");
+      return res;
+    };
+
+    try {
+      app.handle(req, res, err => {
+        if (err) return sendError(res, err, "Request failed");
+        sendError(res, new NotFoundError(`Cannot ${method} ${req.path}`), "Not found");
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// Whether the request is a sub-request run by dispatch
+export function isSubRequest(req) {
+  return req[SUB_REQUEST] === true;
+}
@@ -0,0 +1,28 @@
+// Canonical cache keys for Spoonacular GET requests.
+//
+// A key is the route prefix (with any path IDs, e.g. "similar_716429") plus
+// every param forwarded upstream except the API key: values trimmed, empty
+// ones dropped, names sorted. Build the upstream URL from the same params
+// (canonicalParams) so the key can't leave out anything that changes the answer.
+
+// Params that never belong in a key
+const EXCLUDED_PARAMS = new Set(["apiKey"]);
+
+// Params (object or URLSearchParams) as sorted URLSearchParams, without
+// the API key or empty values
+export function canonicalParams(params = {}) {
+  const entries = params instanceof URLSearchParams ? [...params] : Object.entries(params);
+  const canonical = new URLSearchParams();
+  for (const [name, value] of entries) {
+    if (EXCLUDED_PARAMS.has(name) || value === undefined || value === null) continue;
+    const text = String(value).trim();
+    if (text !== "") canonical.append(name, text);
+  }
+  canonical.sort();
+  return canonical;
+}
+
+export function buildCacheKey(prefix, params = {}) {
+  const query = canonicalParams(params).toString();
+  return query ? `${prefix}_${query}` : prefix;
+}
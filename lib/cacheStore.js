@@ -0,0 +1,137 @@
+import NodeCache from "node-cache";
+import path from "path";
+import { fileMtime, readJsonFile, writeJsonFile } from "./jsonFile.js";
+
+// Every store exposes the same async interface so fetchWithCache and the cache
+// routes do not care where entries live:
+//   get(key), set(key, value, ttlSeconds), del(key | keys) -> number deleted,
+//   keys(), expiresAt(key) -> ms timestamp | null (no expiry) | undefined, flush()
+
+// In-process store (the original behavior) - entries are lost on restart
+export function createMemoryStore({ stdTTL = 3600 } = {}) {
+  const cache = new NodeCache({ stdTTL });
+
+  return {
+    name: "memory",
+    async get(key) {
+      return cache.get(key);
+    },
+    async set(key, value, ttl = stdTTL) {
+      cache.set(key, value, ttl);
+    },
+    async del(keys) {
+      return cache.del(keys);
+    },
+    async keys() {
+      return cache.keys();
+    },
+    async expiresAt(key) {
+      const ttl = cache.getTtl(key);
+      if (ttl === undefined) return undefined;
+      return ttl === 0 ? null : ttl;
+    },
+    async flush() {
+      cache.flushAll();
+    }
+  };
+}
+
+// JSON-file store - survives restarts, and instances pointed at the same file
+// pick up each other's writes (the file is re-read whenever its mtime changes).
+// Concurrent writers are last-write-wins, which is fine for a cache.
+export function createFileStore({ file, stdTTL = 3600 }) {
+  let entries = {};
+  let loadedMtime = -1;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    const mtime = await fileMtime(file);
+    if (mtime !== loadedMtime) {
+      entries = await readJsonFile(file, {});
+      loadedMtime = mtime;
+    }
+  }
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  function pruneExpired() {
+    for (const [key, entry] of Object.entries(entries)) {
+      if (isExpired(entry)) delete entries[key];
+    }
+  }
+
+  // Serialize writes so two requests never interleave temp-file renames
+  function persist() {
+    writeQueue = writeQueue.then(async () => {
+      pruneExpired();
+      await writeJsonFile(file, entries);
+      loadedMtime = await fileMtime(file);
+    });
+    return writeQueue;
+  }
+
+  return {
+    name: "file",
+    file,
+    async get(key) {
+      await load();
+      const entry = entries[key];
+      if (!entry || isExpired(entry)) return undefined;
+      return entry.value;
+    },
+    async set(key, value, ttl = stdTTL) {
+      await load();
+      entries[key] = {
+        value,
+        expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null
+      };
+      await persist();
+    },
+    async del(keys) {
+      await load();
+      let deleted = 0;
+      for (const key of [].concat(keys)) {
+        if (key in entries) {
+          delete entries[key];
+          deleted += 1;
+        }
+      }
+      if (deleted > 0) await persist();
+      return deleted;
+    },
+    async keys() {
+      await load();
+      return Object.keys(entries).filter(key => !isExpired(entries[key]));
+    },
+    async expiresAt(key) {
+      await load();
+      const entry = entries[key];
+      if (!entry || isExpired(entry)) return undefined;
+      return entry.expiresAt;
+    },
+    async flush() {
+      entries = {};
+      await persist();
+    }
+  };
+}
+
+// Pick the store from the environment:
+//   CACHE_STORE=memory (default) | file
+//   CACHE_FILE=path to the JSON file used by the file store
+export function createCacheStore(env = process.env) {
+  const storeType = (env.CACHE_STORE || "memory").toLowerCase();
+
+  switch (storeType) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore({
+        file: path.resolve(env.CACHE_FILE || path.join(env.DATA_DIR || "data", "cache.json"))
+      });
+    default:
+      throw new Error(`Unknown CACHE_STORE "${storeType}" (expected "memory" or "file")`);
+  }
+}
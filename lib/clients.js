@@ -0,0 +1,144 @@
+import path from "path";
+import { readJsonFile } from "./jsonFile.js";
+import { secondsUntilUtcMidnight, today } from "./quota.js";
+
+// Header partners send their issued key in
+export const CLIENT_KEY_HEADER = "X-API-Key";
+
+// Thrown for a missing or unknown client key
+export class ClientAuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "ClientAuthError";
+    this.status = 401;
+    this.code = code;
+  }
+}
+
+// Thrown when a client goes over its rate limit or daily cap
+export class ClientLimitError extends Error {
+  constructor(message, code, retryAfter) {
+    super(message);
+    this.name = "ClientLimitError";
+    this.status = 429;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Issued client keys with per-key limits, e.g.
+//   { "clients": [{ "name": "mobile", "key": "...", "admin": false,
+//       "rateLimit": { "requests": 60, "windowSeconds": 60 }, "dailyCap": 5000 }] }
+// A registry with no clients means client keys are not required.
+export function createClientRegistry({ clients = [] } = {}) {
+  const byKey = new Map();
+  for (const client of clients) {
+    if (!client.name || !client.key) {
+      throw new Error("Every client needs a name and a key");
+    }
+    if (byKey.has(client.key)) {
+      throw new Error(`Duplicate client key for "${client.name}"`);
+    }
+    byKey.set(client.key, client);
+  }
+
+  // Usage per client name: fixed rate-limit window plus today's counters
+  const usage = new Map();
+
+  function usageFor(name) {
+    let entry = usage.get(name);
+    if (!entry) {
+      entry = { windowStart: 0, windowCount: 0, date: today(), requests: 0, points: 0, rejected: 0, lastSeen: null };
+      usage.set(name, entry);
+    }
+    if (entry.date !== today()) {
+      Object.assign(entry, { date: today(), requests: 0, points: 0, rejected: 0 });
+    }
+    return entry;
+  }
+
+  return {
+    enabled: byKey.size > 0,
+
+    authenticate(key) {
+      if (!key) throw new ClientAuthError(`Missing API key; send it in the ${CLIENT_KEY_HEADER} header`, "MISSING_API_KEY");
+      const client = byKey.get(key);
+      if (!client) throw new ClientAuthError("Invalid API key", "INVALID_API_KEY");
+      return client;
+    },
+
+    // Count one request against the client's limits. Returns the rate-limit
+    // headers to send back; throws ClientLimitError when over a limit.
+    consume(client) {
+      const entry = usageFor(client.name);
+      const now = Date.now();
+      entry.lastSeen = new Date(now).toISOString();
+
+      if (client.dailyCap && entry.requests >= client.dailyCap) {
+        entry.rejected += 1;
+        throw new ClientLimitError(
+          `Daily cap of ${client.dailyCap} requests reached`,
+          "DAILY_CAP_REACHED",
+          secondsUntilUtcMidnight()
+        );
+      }
+
+      const headers = {};
+      if (client.rateLimit) {
+        const windowMs = (client.rateLimit.windowSeconds || 60) * 1000;
+        if (now - entry.windowStart >= windowMs) {
+          entry.windowStart = now;
+          entry.windowCount = 0;
+        }
+        const resetSeconds = Math.ceil((entry.windowStart + windowMs - now) / 1000);
+        if (entry.windowCount >= client.rateLimit.requests) {
+          entry.rejected += 1;
+          throw new ClientLimitError(
+            `Rate limit of ${client.rateLimit.requests} requests per ${windowMs / 1000}s exceeded`,
+            "RATE_LIMITED",
+            resetSeconds
+          );
+        }
+        entry.windowCount += 1;
+        headers["X-RateLimit-Limit"] = String(client.rateLimit.requests);
+        headers["X-RateLimit-Remaining"] = String(client.rateLimit.requests - entry.windowCount);
+        headers["X-RateLimit-Reset"] = String(resetSeconds);
+      }
+
+      entry.requests += 1;
+      return headers;
+    },
+
+    // Attribute Spoonacular points to the client whose request spent them
+    recordPoints(client, points) {
+      if (!client || !points) return;
+      usageFor(client.name).points += points;
+    },
+
+    report() {
+      return clients.map(client => {
+        const entry = usageFor(client.name);
+        return {
+          name: client.name,
+          admin: !!client.admin,
+          rateLimit: client.rateLimit || null,
+          dailyCap: client.dailyCap || null,
+          date: entry.date,
+          requestsToday: entry.requests,
+          rejectedToday: entry.rejected,
+          pointsToday: entry.points,
+          lastSeen: entry.lastSeen
+        };
+      });
+    }
+  };
+}
+
+// Load the registry from CLIENT_KEYS_FILE; without it client keys are not required
+export async function loadClientRegistry(env = process.env) {
+  if (!env.CLIENT_KEYS_FILE) return createClientRegistry();
+  const file = path.resolve(env.CLIENT_KEYS_FILE);
+  const config = await readJsonFile(file, null);
+  if (!config) throw new Error(`CLIENT_KEYS_FILE ${file} does not exist`);
+  return createClientRegistry(config);
+}
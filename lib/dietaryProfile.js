@@ -0,0 +1,216 @@
+import { DIETS, INTOLERANCES } from "./searchOptions.js";
+import { mentionsIngredient } from "./shoppingList.js";
+import { isOwnedBy } from "./users.js";
+
+// Users' dietary profiles (diet, intolerances, excluded ingredients, calorie
+// ceiling): merged into the search parameters sent to Spoonacular, then
+// checked again on every returned recipe, since Spoonacular's filters miss
+// ingredients and some routes don't filter at all.
+
+// Profile fields (see lib/validation.js); stored as validated
+export const PROFILE_FIELDS = {
+  // Every diet listed must be met
+  diet: { type: "enum", values: DIETS, list: true },
+  intolerances: { type: "enum", values: INTOLERANCES, list: true },
+  excludeIngredients: { type: "list", lowercase: true, sort: true },
+  // Per serving
+  maxCalories: { type: "integer", min: 50, max: 5000 }
+};
+
+// Ingredient names that give an intolerance away, and names that contain one
+// of them without the allergen ("coconut milk", "eggplant" never matches "egg")
+const ALLERGENS = {
+  Dairy: {
+    terms: ["milk", "butter", "buttermilk", "cheese", "cream", "yogurt", "yoghurt", "whey", "casein", "ghee", "kefir",
+      "parmesan", "mozzarella", "cheddar", "ricotta", "mascarpone", "feta", "brie", "custard", "half and half"],
+    except: ["coconut milk", "almond milk", "oat milk", "soy milk", "rice milk", "cashew milk", "coconut cream",
+      "peanut butter", "almond butter", "cashew butter", "cocoa butter", "apple butter", "cream of tartar", "dairy free", "vegan"]
+  },
+  Egg: { terms: ["egg", "mayonnaise", "mayo", "meringue", "aioli"] },
+  Gluten: {
+    terms: ["wheat", "flour", "bread", "breadcrumbs", "panko", "pasta", "spaghetti", "macaroni", "noodle", "couscous",
+      "semolina", "barley", "rye", "bulgur", "farro", "spelt", "seitan", "malt", "cracker", "soy sauce"],
+    except: ["rice flour", "almond flour", "coconut flour", "corn flour", "tapioca flour", "potato flour", "chickpea flour",
+      "buckwheat flour", "rice noodle", "gluten free", "gluten-free"]
+  },
+  Grain: {
+    terms: ["wheat", "flour", "bread", "breadcrumbs", "pasta", "spaghetti", "macaroni", "noodle", "couscous", "semolina",
+      "rice", "oat", "oatmeal", "corn", "cornmeal", "cornstarch", "polenta", "barley", "rye", "millet", "bulgur", "farro",
+      "spelt", "tortilla", "cracker", "cereal"],
+    except: ["almond flour", "coconut flour", "chickpea flour", "rice vinegar", "grain free", "grain-free"]
+  },
+  Peanut: { terms: ["peanut"] },
+  Seafood: {
+    terms: ["fish", "salmon", "tuna", "cod", "anchovy", "anchovies", "sardine", "trout", "tilapia", "halibut", "haddock",
+      "mackerel", "snapper", "swordfish", "shrimp", "prawn", "crab", "lobster", "clam", "mussel", "oyster", "scallop",
+      "squid", "calamari", "octopus", "crawfish", "crayfish"],
+    except: ["oyster mushroom", "crab apple"]
+  },
+  Sesame: { terms: ["sesame", "tahini"] },
+  Shellfish: {
+    terms: ["shrimp", "prawn", "crab", "lobster", "clam", "mussel", "oyster", "scallop", "crawfish", "crayfish", "langoustine"],
+    except: ["oyster mushroom", "crab apple"]
+  },
+  Soy: { terms: ["soy", "soya", "soybean", "tofu", "edamame", "miso", "tempeh", "tamari"] },
+  Sulfite: { terms: ["wine", "sulfite", "dried apricot", "dried fruit"] },
+  "Tree Nut": {
+    terms: ["almond", "walnut", "pecan", "cashew", "pistachio", "hazelnut", "macadamia", "brazil nut", "pine nut", "praline", "marzipan"]
+  },
+  Wheat: {
+    terms: ["wheat", "flour", "bread", "breadcrumbs", "panko", "pasta", "spaghetti", "macaroni", "noodle", "couscous",
+      "semolina", "bulgur", "farro", "spelt", "seitan", "cracker", "soy sauce"],
+    except: ["rice flour", "almond flour", "coconut flour", "corn flour", "tapioca flour", "potato flour", "chickpea flour",
+      "buckwheat flour", "rice noodle", "gluten free", "gluten-free", "wheat free", "wheat-free"]
+  }
+};
+
+// Whether a recipe meets a diet, from its flags and Spoonacular's `diets` tags
+const DIET_CHECKS = {
+  "Gluten Free": recipe => recipe.glutenFree === true || hasDietTag(recipe, "gluten free"),
+  Ketogenic: recipe => hasDietTag(recipe, "ketogenic"),
+  Vegetarian: recipe => recipe.vegetarian === true || recipe.vegan === true,
+  "Lacto-Vegetarian": recipe => recipe.vegan === true || hasDietTag(recipe, "lacto vegetarian", "lacto ovo vegetarian"),
+  "Ovo-Vegetarian": recipe => recipe.vegan === true || hasDietTag(recipe, "ovo vegetarian", "lacto ovo vegetarian"),
+  Vegan: recipe => recipe.vegan === true,
+  Pescetarian: recipe => recipe.vegetarian === true || recipe.vegan === true || hasDietTag(recipe, "pescatarian", "pescetarian"),
+  Paleo: recipe => hasDietTag(recipe, "paleolithic", "paleo"),
+  Primal: recipe => hasDietTag(recipe, "primal"),
+  "Low FODMAP": recipe => recipe.lowFodmap === true || hasDietTag(recipe, "fodmap friendly", "low fodmap"),
+  Whole30: recipe => hasDietTag(recipe, "whole 30", "whole30")
+};
+
+function hasDietTag(recipe, ...tags) {
+  return (recipe.diets || []).some(diet => tags.includes(String(diet).toLowerCase()));
+}
+
+function splitList(value, separator = /[,|]/) {
+  return String(value ?? "").split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+// Fields of a profile that are set, for reporting what was enforced
+export function profileCriteria(profile) {
+  return Object.fromEntries(Object.keys(PROFILE_FIELDS).filter(field => profile[field] !== undefined).map(field => [field, profile[field]]));
+}
+
+// Union of two comma separated lists, sorted so equal requests share a cache key
+export function mergeList(requested, required) {
+  const values = [...new Set([...splitList(requested, ","), ...splitList(required, ",")])].sort();
+  return values.length > 0 ? values.join(",") : undefined;
+}
+
+// The profile's diets ANDed (",") with the requested ones, which may be
+// alternatives separated by "|"
+export function mergeDiets(requested, required) {
+  if (!required) return requested;
+  if (!requested) return required;
+  if (requested.includes("|")) return `${required},${requested}`;
+  return mergeList(requested, required);
+}
+
+// The lower of two calorie ceilings
+export function mergeMaxCalories(requested, limit) {
+  if (limit === undefined) return requested;
+  return requested === undefined ? limit : Math.min(requested, limit);
+}
+
+// Why one ingredient name is ruled out: { rule, value } per intolerance or
+// exclusion it hits
+export function ingredientViolations(name, profile) {
+  const text = String(name ?? "").toLowerCase();
+  const violations = [];
+  if (!text) return violations;
+
+  for (const intolerance of splitList(profile.intolerances, ",")) {
+    const { terms, except = [] } = ALLERGENS[intolerance] || { terms: [intolerance] };
+    if (except.some(term => mentionsIngredient(text, term))) continue;
+    if (terms.some(term => mentionsIngredient(text, term))) violations.push({ rule: "intolerance", value: intolerance, ingredient: text });
+  }
+  for (const excluded of splitList(profile.excludeIngredients, ",")) {
+    if (mentionsIngredient(text, excluded)) violations.push({ rule: "excludeIngredients", value: excluded, ingredient: text });
+  }
+  return violations;
+}
+
+// Ingredient names of a recipe: full information (extendedIngredients) or
+// findByIngredients results (used + missed), undefined when it has neither
+function ingredientNames(recipe) {
+  if (Array.isArray(recipe.extendedIngredients)) {
+    return recipe.extendedIngredients.map(ingredient => ingredient.nameClean || ingredient.name);
+  }
+  if (Array.isArray(recipe.usedIngredients) || Array.isArray(recipe.missedIngredients)) {
+    return [...(recipe.usedIngredients || []), ...(recipe.missedIngredients || [])].map(ingredient => ingredient.name);
+  }
+  return undefined;
+}
+
+// Calories per serving: nutrition block or findByNutrients' `calories`
+function caloriesOf(recipe) {
+  const calories = (recipe.nutrition?.nutrients || []).find(nutrient => nutrient.name === "Calories");
+  if (calories) return calories.amount;
+  return typeof recipe.calories === "number" ? recipe.calories : undefined;
+}
+
+function hasDietInformation(recipe) {
+  return Array.isArray(recipe.diets) || typeof recipe.vegetarian === "boolean";
+}
+
+// Whether a recipe lacks what's needed to check it against the profile
+export function needsRecipeInformation(recipe, profile) {
+  return ((profile.intolerances || profile.excludeIngredients) && ingredientNames(recipe) === undefined) ||
+    (profile.diet && !hasDietInformation(recipe)) ||
+    (profile.maxCalories !== undefined && caloriesOf(recipe) === undefined);
+}
+
+// Every way a recipe breaks the profile (empty when it's fine):
+//   { rule: "intolerance" | "excludeIngredients", value, ingredient }
+//   { rule: "diet", value }
+//   { rule: "maxCalories", value, calories }
+// Recipes that can't be checked are ruled out with rule "unverified".
+export function recipeViolations(recipe, profile) {
+  if (needsRecipeInformation(recipe, profile)) return [{ rule: "unverified", value: "Recipe information is unavailable" }];
+
+  const violations = (ingredientNames(recipe) || []).flatMap(name => ingredientViolations(name, profile));
+  for (const diet of splitList(profile.diet, ",")) {
+    if (!DIET_CHECKS[diet](recipe)) violations.push({ rule: "diet", value: diet });
+  }
+  const calories = caloriesOf(recipe);
+  if (profile.maxCalories !== undefined && calories > profile.maxCalories) {
+    violations.push({ rule: "maxCalories", value: profile.maxCalories, calories: Math.round(calories) });
+  }
+  return violations;
+}
+
+// Drop the recipes in `result[listKey]` that break the profile. Recipes
+// without ingredients, diet flags or calories are checked against their
+// full information from `fetchRecipesBulk` (cached per recipe). The result
+// gets a `dietaryProfile` block with the criteria and what was removed.
+export async function filterRecipesByProfile(result, profile, fetchRecipesBulk, { listKey = "results" } = {}) {
+  if (!profile) return result;
+
+  const recipes = result[listKey] || [];
+  const incomplete = recipes.filter(recipe => needsRecipeInformation(recipe, profile)).map(recipe => recipe.id);
+  const details = new Map();
+  if (incomplete.length > 0) {
+    for (const recipe of (await fetchRecipesBulk(incomplete)).results || []) details.set(recipe.id, recipe);
+  }
+
+  const kept = [];
+  const removed = [];
+  for (const recipe of recipes) {
+    const violations = recipeViolations({ ...recipe, ...details.get(recipe.id) }, profile);
+    if (violations.length === 0) kept.push(recipe);
+    else removed.push({ id: recipe.id, title: recipe.title, violations });
+  }
+
+  return { ...result, [listKey]: kept, dietaryProfile: { ...profileCriteria(profile), removed } };
+}
+
+// Look up the profile of { client, userId }; resolves to null without one
+export function createProfileLookup(profiles) {
+  return async function profileFor(owner) {
+    if (!owner.userId) return null;
+    const record = (await profiles.list()).find(entry => isOwnedBy(entry, owner));
+    const criteria = record ? profileCriteria(record) : {};
+    return Object.keys(criteria).length > 0 ? criteria : null;
+  };
+}
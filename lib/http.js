@@ -0,0 +1,37 @@
+// Every error response has the same shape:
+//   { error: summary, code: machine-readable code, details: message or list, example? }
+// Errors that carry a status, code, details or Retry-After (quota, validation,
+// upstream) keep them; anything else is a 500 INTERNAL_ERROR.
+export function sendError(res, err, message) {
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  const status = err.status || 500;
+  res.status(status).json({
+    error: message,
+    code: err.code || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST"),
+    details: err.details ?? err.message,
+    ...(err.example && { example: err.example })
+  });
+}
+
+// A stored record (meal plan, collection, cache entry, ...) that doesn't exist
+// or belongs to someone else. `details` defaults to the message.
+export class NotFoundError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "NotFoundError";
+    this.status = 404;
+    this.code = "NOT_FOUND";
+    this.details = details;
+  }
+}
+
+// A request that clashes with what's stored (a full pantry, a duplicate name);
+// `code` says which rule
+export class ConflictError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ConflictError";
+    this.status = 409;
+    this.code = code;
+  }
+}
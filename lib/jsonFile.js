@@ -0,0 +1,31 @@
+import { mkdir, readFile, rename, stat, writeFile } from "fs/promises";
+import path from "path";
+
+// Read and parse a JSON file, returning `fallback` when it does not exist yet
+export async function readJsonFile(file, fallback) {
+  try {
+    const contents = await readFile(file, "utf8");
+    return JSON.parse(contents);
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Write JSON through a temp file + rename so readers never see a half-written file
+export async function writeJsonFile(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await writeFile(tmpFile, JSON.stringify(data));
+  await rename(tmpFile, file);
+}
+
+// Modification time of a file in ms, or 0 when it does not exist
+export async function fileMtime(file) {
+  try {
+    return (await stat(file)).mtimeMs;
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+}
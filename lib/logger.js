@@ -0,0 +1,80 @@
+import { getRequestContext } from "./requestContext.js";
+
+// Structured logs: one JSON object per line on stdout (errors on stderr),
+//   { time, level, msg, requestId, client, ...fields }
+// with the request ID and client taken from the request context. Every string
+// is redacted, so Spoonacular URLs and error messages can be logged as-is.
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Replace every occurrence of a secret (and any apiKey query parameter) so
+// upstream bodies, URLs and error messages can be shown or logged safely
+export function redactSecret(text, secret) {
+  let redacted = String(text ?? "").replace(/(apiKey=)[^&\s"']+/gi, "$1[REDACTED]");
+  if (secret) redacted = redacted.split(secret).join("[REDACTED]");
+  return redacted;
+}
+
+const state = {
+  level: LOG_LEVELS.info,
+  secrets: [],
+  write: (line, level) => (level >= LOG_LEVELS.error ? process.stderr : process.stdout).write(`${line}\n`)
+};
+
+function redactValue(value) {
+  if (typeof value === "string") return state.secrets.reduce(redactSecret, redactSecret(value));
+  if (value instanceof Error) {
+    const { code, status, upstreamStatus } = value;
+    return redactValue({ message: value.message, code, status, upstreamStatus });
+  }
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+  }
+  return value;
+}
+
+function emit(levelName, msg, fields = {}) {
+  const level = LOG_LEVELS[levelName];
+  if (level < state.level) return;
+
+  const { requestId, client } = getRequestContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level: levelName,
+    msg,
+    ...(requestId && { requestId }),
+    ...(client && { client: client.name }),
+    ...fields
+  };
+  state.write(JSON.stringify(redactValue(entry)), level);
+}
+
+// The app's logger; configure it with configureLogger
+export const logger = {
+  debug: (msg, fields) => emit("debug", msg, fields),
+  info: (msg, fields) => emit("info", msg, fields),
+  warn: (msg, fields) => emit("warn", msg, fields),
+  error: (msg, fields) => emit("error", msg, fields)
+};
+
+//   level:   minimum level logged (debug, info, warn, error or silent)
+//   secrets: strings replaced with [REDACTED] wherever they appear
+//   write:   (line, level) => void, instead of stdout/stderr
+export function configureLogger({ level, secrets, write } = {}) {
+  if (level !== undefined) {
+    if (LOG_LEVELS[level] === undefined) {
+      throw new Error(`Unknown LOG_LEVEL "${level}" (expected ${Object.keys(LOG_LEVELS).join(", ")})`);
+    }
+    state.level = LOG_LEVELS[level];
+  }
+  if (secrets !== undefined) state.secrets = secrets.filter(Boolean);
+  if (write !== undefined) state.write = write;
+}
+
+// LOG_LEVEL (default info); SPOONACULAR_API_KEY is always redacted
+export function configureLoggerFromEnv(env = process.env) {
+  configureLogger({
+    level: (env.LOG_LEVEL || "info").toLowerCase(),
+    secrets: [env.SPOONACULAR_API_KEY]
+  });
+}
@@ -0,0 +1,118 @@
+import { DIETS, INTOLERANCES } from "./searchOptions.js";
+
+// Meals of a planned day, their share of the daily calories and the
+// complexSearch meal type used to find them
+export const MEAL_SLOTS = [
+  { slot: "breakfast", share: 0.25, type: "breakfast" },
+  { slot: "lunch", share: 0.35, type: "main course" },
+  { slot: "dinner", share: 0.4, type: "main course" }
+];
+
+// A candidate may be this far (as a fraction) above or below its slot's calories
+export const CALORIE_TOLERANCE = 0.2;
+
+const MACROS = ["calories", "protein", "fat", "carbs"];
+
+// Thrown when no recipe matches a meal slot's criteria
+export class NoMatchingRecipesError extends Error {
+  constructor(slot) {
+    super(`No recipes match the ${slot} criteria; try fewer exclusions or another diet`);
+    this.name = "NoMatchingRecipesError";
+    this.status = 422;
+    this.code = "NO_MATCHING_RECIPES";
+  }
+}
+
+// Days planned for each timeFrame, unless `days` is given
+export const TIME_FRAME_DAYS = { day: 1, week: 7 };
+
+// Fields of a plan request (see lib/validation.js)
+export const PLAN_FIELDS = {
+  timeFrame: { type: "enum", values: Object.keys(TIME_FRAME_DAYS) },
+  days: { type: "integer", min: 1, max: 7 },
+  targetCalories: { type: "integer", min: 800, max: 6000, default: 2000 },
+  diet: { type: "enum", values: DIETS, list: true },
+  intolerances: { type: "enum", values: INTOLERANCES, list: true },
+  exclude: { type: "list", lowercase: true, sort: true, description: "Ingredients to leave out" },
+  name: { type: "string", maxLength: 100 }
+};
+
+// Plan criteria from validated PLAN_FIELDS: { name, criteria }
+export function planCriteria({ timeFrame, days, name, ...criteria }) {
+  return { name, criteria: { ...criteria, days: days ?? TIME_FRAME_DAYS[timeFrame] ?? 1 } };
+}
+
+// complexSearch parameters (without apiKey) for one meal slot
+export function candidateSearchParams(criteria, { share, type }, { withCalorieRange = true } = {}) {
+  const slotCalories = criteria.targetCalories * share;
+  const params = new URLSearchParams({
+    type,
+    number: "20",
+    addRecipeInformation: "true"
+  });
+  if (withCalorieRange) {
+    params.set("minCalories", String(Math.round(slotCalories * (1 - CALORIE_TOLERANCE))));
+    params.set("maxCalories", String(Math.round(slotCalories * (1 + CALORIE_TOLERANCE))));
+  }
+  if (criteria.diet) params.set("diet", criteria.diet);
+  if (criteria.intolerances) params.set("intolerances", criteria.intolerances);
+  if (criteria.exclude) params.set("excludeIngredients", criteria.exclude);
+  params.sort();
+  return params;
+}
+
+// Pick a random candidate, preferring recipes not already in the plan
+export function pickCandidate(candidates, usedIds, random = Math.random) {
+  const unused = candidates.filter(recipe => !usedIds.has(recipe.id));
+  const pool = unused.length > 0 ? unused : candidates;
+  if (pool.length === 0) return undefined;
+  return pool[Math.floor(random() * pool.length)];
+}
+
+// "316", "12g" or "1.5 mg" -> number
+function parseAmount(value) {
+  const number = parseFloat(String(value ?? "").replace(",", "."));
+  return Number.isFinite(number) ? number : 0;
+}
+
+// Macros per serving from a nutritionWidget.json response
+export function macrosFromNutritionWidget(data) {
+  return {
+    calories: parseAmount(data.calories),
+    protein: parseAmount(data.protein),
+    fat: parseAmount(data.fat),
+    carbs: parseAmount(data.carbs)
+  };
+}
+
+export function sumMacros(meals) {
+  const totals = Object.fromEntries(MACROS.map(macro => [macro, 0]));
+  for (const meal of meals) {
+    for (const macro of MACROS) totals[macro] += meal.nutrition?.[macro] ?? 0;
+  }
+  for (const macro of MACROS) totals[macro] = Math.round(totals[macro] * 10) / 10;
+  return totals;
+}
+
+// The fields of a search result / recipe information kept in a plan
+export function mealFromRecipe(slot, recipe, nutrition) {
+  return {
+    slot,
+    recipeId: recipe.id,
+    title: recipe.title,
+    image: recipe.image ?? null,
+    readyInMinutes: recipe.readyInMinutes ?? null,
+    servings: recipe.servings ?? null,
+    sourceUrl: recipe.sourceUrl ?? null,
+    nutrition
+  };
+}
+
+// Recompute every day's totals after the meals changed
+export function withTotals(days, targetCalories) {
+  return days.map(day => ({
+    ...day,
+    targetCalories,
+    totals: sumMacros(day.meals)
+  }));
+}
@@ -0,0 +1,98 @@
+// Minimal Prometheus metrics: counters and histograms with labels, plus gauges
+// read when scraped, rendered in the text exposition format.
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Histogram buckets (seconds) for request and upstream latencies
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+// Series of one metric, keyed by their sorted labels
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function createMetrics() {
+  const families = [];
+
+  function register(name, help, type, samples, instrument) {
+    if (families.some(family => family.name === name)) throw new Error(`Metric ${name} is already registered`);
+    families.push({ name, help, type, samples });
+    return instrument;
+  }
+
+  // Monotonic count: inc(labels, amount = 1)
+  function counter(name, help) {
+    const series = new Map();
+    return register(name, help, "counter", () => [...series.values()].map(({ labels, value }) => ({ name, labels, value })), {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      }
+    });
+  }
+
+  // Distribution of observed values: observe(labels, value)
+  function histogram(name, help, buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+    return register(name, help, "histogram", () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] })),
+      { name: `${name}_bucket`, labels: { ...labels, le: "+Inf" }, value: count },
+      { name: `${name}_sum`, labels, value: sum },
+      { name: `${name}_count`, labels, value: count }
+    ]), {
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      }
+    });
+  }
+
+  // Value read from elsewhere when scraped. `collect()` returns a number, a
+  // list of { labels, value } or null (nothing to report); it may be async.
+  // Use type "counter" for totals kept by another module.
+  function gauge(name, help, collect, type = "gauge") {
+    register(name, help, type, async () => {
+      const collected = await collect();
+      if (collected === null || collected === undefined) return [];
+      const list = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+      return list.map(({ labels = {}, value }) => ({ name, labels, value }));
+    });
+  }
+
+  // Every metric in the Prometheus text format
+  async function render() {
+    const lines = [];
+    for (const { name, help, type, samples } of families) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const sample of await samples()) {
+        lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
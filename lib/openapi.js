@@ -0,0 +1,429 @@
+import { CLIENT_KEY_HEADER } from "./clients.js";
+
+// OpenAPI 3 document generated from the mounted Express routes, so it can't
+// drift from what the app actually serves. Parameters come from the schema
+// given to validate() (lib/validation.js); the rest from describe():
+//   summary, description
+//   response:    JSON schema of the success body (see ref() and resultsOf())
+//   status:      success status when not 200
+//   contentType: success content type when not application/json
+//   upstream:    Spoonacular route it proxies, e.g. "GET /recipes/{id}/information";
+//                such responses carry the fromCache/timestamp envelope
+
+export const OPENAPI_VERSION = "3.0.3";
+
+// Tag for each path prefix, first match wins
+const TAGS = [
+  ["/api/recipes", "Recipes"],
+  ["/api/recipe", "Recipes"],
+  ["/api/searchRecipes", "Recipes"],
+  ["/api/ingredients", "Ingredients"],
+  ["/api/mealPlans", "Meal plans"],
+  ["/api/shoppingList", "Shopping list"],
+  ["/api/collections", "Collections"],
+  ["/api/pantry", "Pantry"],
+  ["/api/dietaryProfile", "Dietary profile"],
+  ["/api/batch", "Batch"],
+  ["/api/cache", "Admin"],
+  ["/api/admin", "Admin"],
+  ["/api/debug", "Admin"],
+  ["/", "Status"]
+];
+
+export function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Spoonacular array responses are wrapped in { results: [...] }
+export function resultsOf(itemSchema) {
+  return {
+    type: "object",
+    properties: { results: { type: "array", items: itemSchema } },
+    required: ["results"]
+  };
+}
+
+const looseObject = { type: "object", additionalProperties: true };
+
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: "object",
+    properties: {
+      error: { type: "string", description: "Human-readable summary" },
+      code: { type: "string", description: "Machine-readable error code", example: "VALIDATION_ERROR" },
+      details: {
+        oneOf: [
+          { type: "string" },
+          { type: "array", items: ref("ValidationDetail") }
+        ]
+      },
+      example: { description: "A valid request for this route" }
+    },
+    required: ["error", "code", "details"]
+  },
+  ValidationDetail: {
+    type: "object",
+    properties: {
+      in: { type: "string", enum: ["params", "query", "body", "headers"] },
+      field: { type: "string" },
+      message: { type: "string" }
+    },
+    required: ["in", "field", "message"]
+  },
+  CacheEnvelope: {
+    type: "object",
+    properties: {
+      fromCache: { type: "boolean", description: "Answered from the wrapper's cache" },
+      stale: { type: "boolean", description: "Expired copy served because Spoonacular failed" },
+      fetchedAt: { type: "string", format: "date-time", description: "When a stale copy was fetched" },
+      timestamp: { type: "string", format: "date-time" }
+    },
+    required: ["fromCache", "timestamp"]
+  },
+  Ingredient: {
+    type: "object",
+    additionalProperties: true,
+    properties: {
+      id: { type: "integer" },
+      name: { type: "string" },
+      nameClean: { type: "string", nullable: true },
+      aisle: { type: "string", nullable: true },
+      amount: { type: "number" },
+      unit: { type: "string" }
+    }
+  },
+  RecipeSummary: {
+    type: "object",
+    additionalProperties: true,
+    properties: {
+      id: { type: "integer" },
+      title: { type: "string" },
+      image: { type: "string" },
+      imageType: { type: "string" },
+      readyInMinutes: { type: "integer" },
+      servings: { type: "integer" },
+      sourceUrl: { type: "string" }
+    },
+    required: ["id", "title"]
+  },
+  Recipe: {
+    type: "object",
+    additionalProperties: true,
+    properties: {
+      id: { type: "integer" },
+      title: { type: "string" },
+      image: { type: "string" },
+      servings: { type: "integer" },
+      readyInMinutes: { type: "integer" },
+      sourceUrl: { type: "string" },
+      summary: { type: "string" },
+      vegetarian: { type: "boolean" },
+      vegan: { type: "boolean" },
+      glutenFree: { type: "boolean" },
+      dairyFree: { type: "boolean" },
+      cuisines: { type: "array", items: { type: "string" } },
+      dishTypes: { type: "array", items: { type: "string" } },
+      diets: { type: "array", items: { type: "string" } },
+      extendedIngredients: { type: "array", items: ref("Ingredient") },
+      nutrition: looseObject
+    },
+    required: ["id", "title"]
+  },
+  RecipeView: {
+    type: "object",
+    description: "Our own recipe schema (see schemaVersion). Only the fields selected by view or fields are present; " +
+      "a selected field is null or empty when Spoonacular didn't return it.",
+    properties: {
+      id: { type: "integer" },
+      title: { type: "string", nullable: true },
+      image: { type: "string", nullable: true },
+      sourceUrl: { type: "string", nullable: true },
+      summary: { type: "string", nullable: true, description: "Plain text" },
+      times: {
+        type: "object",
+        properties: {
+          readyInMinutes: { type: "integer", nullable: true },
+          preparationMinutes: { type: "integer", nullable: true },
+          cookingMinutes: { type: "integer", nullable: true }
+        }
+      },
+      servings: { type: "number", nullable: true },
+      diets: { type: "array", items: { type: "string" } },
+      cuisines: { type: "array", items: { type: "string" } },
+      dishTypes: { type: "array", items: { type: "string" } },
+      ingredients: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "integer", nullable: true },
+            name: { type: "string" },
+            amount: { type: "number", nullable: true },
+            unit: { type: "string", description: "Canonical unit name, empty for unit-less items" },
+            aisle: { type: "string", nullable: true },
+            original: { type: "string", nullable: true }
+          }
+        }
+      },
+      steps: {
+        type: "array",
+        items: { type: "object", properties: { number: { type: "integer" }, text: { type: "string" } } }
+      },
+      macros: {
+        type: "object",
+        nullable: true,
+        properties: {
+          calories: { type: "number", nullable: true },
+          protein: { type: "number", nullable: true, description: "Grams" },
+          fat: { type: "number", nullable: true, description: "Grams" },
+          carbs: { type: "number", nullable: true, description: "Grams" }
+        }
+      }
+    },
+    required: ["id"]
+  },
+  Pagination: {
+    type: "object",
+    properties: {
+      offset: { type: "integer" },
+      number: { type: "integer" },
+      totalResults: { type: "integer" },
+      next: { type: "string", nullable: true, description: "Link to the next page" },
+      prev: { type: "string", nullable: true, description: "Link to the previous page" }
+    }
+  },
+  MealPlan: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      criteria: looseObject,
+      days: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            day: { type: "integer" },
+            targetCalories: { type: "integer" },
+            meals: { type: "array", items: looseObject },
+            totals: looseObject
+          }
+        }
+      },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  }
+};
+
+// Passthrough middleware carrying the OpenAPI description of a route
+export function describe(doc) {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = doc;
+  return middleware;
+}
+
+// JSON schema for one field spec of lib/validation.js
+export function fieldSchema(spec) {
+  const schema = {};
+  switch (spec.type) {
+    case "integer":
+    case "number":
+      schema.type = spec.type;
+      if (spec.min !== undefined) schema.minimum = spec.min;
+      if (spec.max !== undefined) schema.maximum = spec.max;
+      break;
+    case "boolean":
+      schema.type = "boolean";
+      break;
+    case "enum":
+      schema.type = "string";
+      if (spec.list) {
+        const separators = (spec.separators || [","]).map(separator => `"${separator}"`).join(" or ");
+        schema.description = `List separated by ${separators} of: ${spec.values.join(", ")}`;
+      } else {
+        schema.enum = spec.values;
+      }
+      break;
+    case "list":
+      schema.type = "string";
+      schema.description = "Comma separated list";
+      break;
+    case "text":
+      schema.oneOf = [{ type: "string" }, { type: "array", items: { type: "string" } }];
+      schema.description = "Text, or an array of lines";
+      break;
+    case "url":
+      schema.type = "string";
+      schema.format = "uri";
+      break;
+    case "date":
+      schema.type = "string";
+      schema.format = "date";
+      break;
+    case "array":
+      schema.type = "array";
+      schema.items = fieldSchema(spec.items);
+      if (spec.minItems !== undefined) schema.minItems = spec.minItems;
+      if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+      break;
+    case "object": {
+      const object = { type: "object" };
+      if (spec.fields) {
+        object.properties = Object.fromEntries(Object.entries(spec.fields).map(([name, field]) => [name, fieldSchema(field)]));
+        const required = Object.entries(spec.fields).filter(([, field]) => field.required).map(([name]) => name);
+        if (required.length > 0) object.required = required;
+      } else {
+        object.additionalProperties = true;
+      }
+      if (spec.shorthand) schema.oneOf = [{ type: "string", description: `Same as { "${spec.shorthand}": string }` }, object];
+      else Object.assign(schema, object);
+      break;
+    }
+    default:
+      schema.type = "string";
+      if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  }
+  if (spec.description) schema.description = [spec.description, schema.description].filter(Boolean).join(". ");
+  if (spec.default !== undefined) schema.default = spec.default;
+  return schema;
+}
+
+const PARAMETER_LOCATIONS = { params: "path", query: "query", headers: "header" };
+
+function parameters(fields = {}, location) {
+  return Object.entries(fields).map(([name, spec]) => ({
+    name,
+    in: PARAMETER_LOCATIONS[location],
+    required: location === "params" || !!spec.required,
+    schema: fieldSchema(spec)
+  }));
+}
+
+function requestBody(fields) {
+  if (!fields || Object.keys(fields).length === 0) return undefined;
+  const required = Object.entries(fields).filter(([, spec]) => spec.required).map(([name]) => name);
+  return {
+    required: required.length > 0,
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          properties: Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, fieldSchema(spec)])),
+          ...(required.length > 0 && { required })
+        }
+      }
+    }
+  };
+}
+
+// Express "/api/recipe/:id" -> OpenAPI "/api/recipe/{id}"
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+function pathParameters(path) {
+  return [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({ name, in: "path", required: true, schema: { type: "string" } }));
+}
+
+function errorResponse(description) {
+  return { description, content: { "application/json": { schema: ref("Error") } } };
+}
+
+function operationFor(method, path, doc, { publicPaths, adminPaths }) {
+  const response = doc.response || looseObject;
+  const body = doc.upstream ? { allOf: [ref("CacheEnvelope"), response] } : response;
+  const status = String(doc.status || 200);
+  const params = doc.params ? parameters(doc.params, "params") : pathParameters(path);
+
+  const operation = {
+    tags: [TAGS.find(([prefix]) => path.startsWith(prefix))[1]],
+    summary: doc.summary,
+    ...(doc.description || doc.upstream) && {
+      description: [doc.description, doc.upstream && `Proxies Spoonacular \`${doc.upstream}\`.`].filter(Boolean).join("\n\n")
+    },
+    operationId: `${method}${path.replace(/[^\w]+(\w)?/g, (_, char = "") => char.toUpperCase())}`,
+    parameters: [...params, ...parameters(doc.query, "query"), ...parameters(doc.headers, "headers")],
+    requestBody: requestBody(doc.body),
+    responses: {
+      [status]: { description: "Success", content: { [doc.contentType || "application/json"]: { schema: body } } },
+      ...((doc.params || doc.query || doc.body || doc.headers) && { 400: errorResponse("Invalid request parameters") }),
+      default: errorResponse("Error")
+    }
+  };
+  if (!operation.requestBody) delete operation.requestBody;
+
+  if (publicPaths.has(path)) {
+    operation.security = [];
+  } else if (adminPaths.some(prefix => path.startsWith(prefix))) {
+    operation.security = [{ adminBearer: [] }, { adminBasic: [] }, { clientKey: [] }];
+  }
+  return operation;
+}
+
+// Every route of the app with the docs of its handlers merged, in mount order
+export function listRoutes(app) {
+  const routes = [];
+  for (const layer of app.router.stack) {
+    for (const routeLayer of layer.handle.stack || []) {
+      const { route } = routeLayer;
+      if (!route) continue;
+      const doc = Object.assign({}, ...route.stack.map(handler => handler.handle.openapi || handler.handle.schema));
+      for (const method of Object.keys(route.methods)) {
+        routes.push({ method, path: route.path, doc });
+      }
+    }
+  }
+  return routes;
+}
+
+// Build the OpenAPI document for the app's routes
+export function buildOpenApiDocument(app, { title, version, publicPaths = new Set(), adminPaths = [] }) {
+  const paths = {};
+  for (const { method, path, doc } of listRoutes(app)) {
+    const key = openApiPath(path);
+    paths[key] = paths[key] || {};
+    paths[key][method] = operationFor(method, path, doc, { publicPaths, adminPaths });
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title,
+      version,
+      description: "Caching wrapper around the Spoonacular Food API. Responses proxied from Spoonacular " +
+        "carry `fromCache` and `timestamp`; every error uses the `Error` schema."
+    },
+    tags: [...new Set(TAGS.map(([, tag]) => tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      securitySchemes: {
+        clientKey: { type: "apiKey", in: "header", name: CLIENT_KEY_HEADER, description: "Issued client key (when client keys are enabled)" },
+        adminBearer: { type: "http", scheme: "bearer", description: "ADMIN_TOKEN" },
+        adminBasic: { type: "http", scheme: "basic", description: "ADMIN_USER and ADMIN_PASSWORD" }
+      }
+    },
+    security: [{ clientKey: [] }, {}]
+  };
+}
+
+// Interactive docs page (Swagger UI from a CDN) for the document at `specUrl`
+export function docsPage(specUrl, title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#swagger-ui" });
+  </script>
+</body>
+</html>
+`;
+}
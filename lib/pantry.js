@@ -0,0 +1,166 @@
+import { mentionsIngredient, normalizeUnit } from "./shoppingList.js";
+
+// "What can I cook": ranking findByIngredients results against a user's
+// pantry (quantities and expiry dates), missing ingredients and their cost.
+
+export const MAX_PANTRY_ITEMS = 200;
+
+// Items expiring within this many days are used first
+export const EXPIRING_SOON_DAYS = 3;
+
+// Recipes asked from findByIngredients, ranked before the top ones are returned
+export const PANTRY_CANDIDATES = 30;
+
+// Ranking: every pantry ingredient used counts 1, one expiring soon counts
+// this much more, every ingredient to buy counts this much against
+const EXPIRING_WEIGHT = 2;
+const MISSING_WEIGHT = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function sameIngredient(a, b) {
+  return a.toLowerCase() === b.toLowerCase() || mentionsIngredient(a, b) || mentionsIngredient(b, a);
+}
+
+// Today's date (UTC) as YYYY-MM-DD
+export function todayDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+// Whole days from `today` until `date`, both YYYY-MM-DD; negative once past
+export function daysUntil(date, today) {
+  return Math.round((Date.parse(date) - Date.parse(today)) / DAY_MS);
+}
+
+// Add items to a pantry; an item replaces the one with the same name
+export function mergePantryItems(items, additions) {
+  const byName = new Map(items.map(item => [item.name, item]));
+  for (const item of additions) byName.set(item.name, item);
+  return [...byName.values()];
+}
+
+// Split a pantry into items that can still be cooked with and expired ones.
+// Items get `daysLeft` (null without an expiry date) and `expiringSoon`;
+// usable items are ordered soonest-expiring first.
+export function pantryStatus(items, today, expiringWithinDays = EXPIRING_SOON_DAYS) {
+  const usable = [];
+  const expired = [];
+  for (const item of items) {
+    const daysLeft = item.expiresOn ? daysUntil(item.expiresOn, today) : null;
+    const entry = { ...item, daysLeft, expiringSoon: daysLeft !== null && daysLeft <= expiringWithinDays };
+    (daysLeft !== null && daysLeft < 0 ? expired : usable).push(entry);
+  }
+  usable.sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.name.localeCompare(b.name));
+  return { usable, expired };
+}
+
+// Pantry item for a Spoonacular ingredient name: the same name, or one
+// naming the other ("garlic" for "garlic cloves")
+export function findPantryItem(pantry, name) {
+  const wanted = String(name ?? "").toLowerCase();
+  return pantry.find(item => item.name === wanted) || pantry.find(item => sameIngredient(item.name, wanted));
+}
+
+// true/false when the stored amount can be compared with the recipe's (no
+// amount means "enough"), null when their units differ
+function hasEnough(item, ingredient) {
+  if (item.amount === undefined) return true;
+  if (normalizeUnit(item.unit) !== normalizeUnit(ingredient.unit)) return null;
+  return item.amount >= (ingredient.amount || 0);
+}
+
+function ingredientLine({ id, name, amount, unit }) {
+  return { id: id ?? null, name, amount: roundAmount(amount || 0), unit: unit || "" };
+}
+
+// Score findByIngredients results against the usable pantry, best first.
+// `missingIngredients` holds what must be bought: ingredients the pantry
+// lacks, and ones it has too little of (reason "short", amount = shortfall).
+export function rankRecipes(candidates, pantry) {
+  const ranked = candidates.map(candidate => {
+    const usedIngredients = [];
+    const missingIngredients = [];
+
+    for (const ingredient of candidate.usedIngredients || []) {
+      const item = findPantryItem(pantry, ingredient.name);
+      const enough = item ? hasEnough(item, ingredient) : null;
+      usedIngredients.push({
+        ...ingredientLine(ingredient),
+        pantryItem: item?.name ?? null,
+        expiresOn: item?.expiresOn ?? null,
+        expiringSoon: item?.expiringSoon ?? false,
+        enough
+      });
+      if (enough === false) {
+        missingIngredients.push({
+          ...ingredientLine(ingredient),
+          amount: roundAmount(ingredient.amount - item.amount),
+          reason: "short",
+          requiredAmount: roundAmount(ingredient.amount),
+          pantryAmount: item.amount
+        });
+      }
+    }
+    for (const ingredient of candidate.missedIngredients || []) {
+      missingIngredients.push({ ...ingredientLine(ingredient), reason: "missing" });
+    }
+
+    const expiringItemsUsed = [...new Set(usedIngredients.filter(line => line.expiringSoon).map(line => line.pantryItem))];
+    const score = usedIngredients.length + EXPIRING_WEIGHT * expiringItemsUsed.length - MISSING_WEIGHT * missingIngredients.length;
+
+    return {
+      id: candidate.id,
+      title: candidate.title,
+      image: candidate.image,
+      likes: candidate.likes ?? 0,
+      score: roundAmount(score),
+      pantryItemsUsed: usedIngredients.length,
+      expiringItemsUsed,
+      usedIngredients,
+      missingIngredients
+    };
+  });
+
+  return ranked.sort((a, b) =>
+    b.score - a.score ||
+    a.missingIngredients.length - b.missingIngredients.length ||
+    b.likes - a.likes
+  );
+}
+
+// Substitute suggestions that name something in the pantry
+export function pantrySubstitutes(substitutes, pantry) {
+  return substitutes.filter(text => pantry.some(item => mentionsIngredient(text, item.name)));
+}
+
+// Estimated cost of the missing ingredients in US cents (Spoonacular's price
+// unit), from the recipe's priceBreakdownWidget. Short ingredients cost their
+// missing share; ones without a price are listed in `unpriced`.
+export function estimateCost(priceBreakdown, missingIngredients) {
+  const prices = priceBreakdown?.ingredients || [];
+  let cents = 0;
+  const unpriced = [];
+
+  for (const ingredient of missingIngredients) {
+    const priced = prices.find(entry => entry.name.toLowerCase() === ingredient.name.toLowerCase()) ||
+      prices.find(entry => sameIngredient(entry.name, ingredient.name));
+    if (typeof priced?.price !== "number") {
+      unpriced.push(ingredient.name);
+      continue;
+    }
+    const share = ingredient.reason === "short" && ingredient.requiredAmount > 0
+      ? ingredient.amount / ingredient.requiredAmount
+      : 1;
+    cents += priced.price * share;
+  }
+
+  return {
+    toBuyCents: roundAmount(cents),
+    recipeTotalCents: typeof priceBreakdown?.totalCost === "number" ? priceBreakdown.totalCost : null,
+    unpriced
+  };
+}
@@ -0,0 +1,178 @@
+import path from "path";
+import { readJsonFile, writeJsonFile } from "./jsonFile.js";
+
+// Number of past days kept in the ledger (today included)
+const HISTORY_DAYS = 7;
+
+// Thrown when the configured daily point budget is used up
+export class QuotaExceededError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = "QuotaExceededError";
+    this.status = 429;
+    this.code = "QUOTA_EXCEEDED";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Spoonacular resets quotas at midnight UTC, so days are UTC dates
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function parseHeaderNumber(headers, name) {
+  const value = headers.get(name);
+  if (value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Collapse numeric path segments so /recipes/716429/information and
+// /recipes/1/information are accounted under the same route
+export function routeFromUrl(url) {
+  const { pathname } = new URL(url);
+  return pathname.replace(/\/\d+(?=\/|$)/g, "/{id}");
+}
+
+// Tracks the points Spoonacular reports through its X-API-Quota-* headers,
+// per route and per day, and enforces an optional daily budget.
+//   budget: daily point budget, 0/undefined = unlimited
+//   mode:   "cache-only" serves cache hits and refuses upstream calls once the
+//           budget is spent, "refuse" rejects every proxied request
+//   file:   optional JSON file so the ledger survives restarts
+export function createQuotaTracker({ budget = 0, mode = "cache-only", file } = {}) {
+  if (!["cache-only", "refuse"].includes(mode)) {
+    throw new Error(`Unknown QUOTA_BUDGET_MODE "${mode}" (expected "cache-only" or "refuse")`);
+  }
+
+  let ledger = { days: {}, upstream: null };
+  let loading = file ? null : Promise.resolve();
+  let writeQueue = Promise.resolve();
+
+  // Concurrent first calls share one read, so none replaces what another has
+  // already recorded; a failed read is tried again by the next call
+  function ensureLoaded() {
+    loading ??= readJsonFile(file, ledger).then(loaded => {
+      ledger = loaded;
+    }, err => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  function dayEntry(date = today()) {
+    if (!ledger.days[date]) {
+      ledger.days[date] = { points: 0, requests: 0, routes: {} };
+      const dates = Object.keys(ledger.days).sort();
+      for (const old of dates.slice(0, Math.max(0, dates.length - HISTORY_DAYS))) {
+        delete ledger.days[old];
+      }
+    }
+    return ledger.days[date];
+  }
+
+  function pointsUsedToday() {
+    const ownPoints = dayEntry().points;
+    // Upstream "used" covers every consumer of the key, so trust it when it is
+    // higher - but only if it was reported today
+    const upstream = ledger.upstream;
+    if (upstream && upstream.date === today() && upstream.used !== null) {
+      return Math.max(ownPoints, upstream.used);
+    }
+    return ownPoints;
+  }
+
+  function isExhausted() {
+    const upstream = ledger.upstream;
+    if (upstream && upstream.date === today() && upstream.left !== null && upstream.left <= 0) {
+      return true;
+    }
+    return budget > 0 && pointsUsedToday() >= budget;
+  }
+
+  function persist() {
+    if (!file) return Promise.resolve();
+    writeQueue = writeQueue.then(() => writeJsonFile(file, ledger));
+    return writeQueue;
+  }
+
+  return {
+    budget,
+    mode,
+
+    // Throw before contacting Spoonacular if the budget is spent.
+    // `cached` tells whether the request could be answered from cache.
+    async assertCanSpend({ cached = false } = {}) {
+      await ensureLoaded();
+      if (!isExhausted()) return;
+      if (cached && mode === "cache-only") return;
+
+      const limit = budget > 0 ? `daily budget of ${budget} points` : "Spoonacular daily quota";
+      const message = mode === "cache-only"
+        ? `The ${limit} has been reached; only cached results are available until the quota resets at midnight UTC`
+        : `The ${limit} has been reached; requests are refused until the quota resets at midnight UTC`;
+      throw new QuotaExceededError(message, secondsUntilUtcMidnight());
+    },
+
+    // Record the quota headers of an upstream response; returns the points spent
+    async record(route, headers) {
+      await ensureLoaded();
+      const points = parseHeaderNumber(headers, "x-api-quota-request") ?? 0;
+      const day = dayEntry();
+      const routeEntry = day.routes[route] || (day.routes[route] = { points: 0, requests: 0 });
+
+      day.points += points;
+      day.requests += 1;
+      routeEntry.points += points;
+      routeEntry.requests += 1;
+
+      const used = parseHeaderNumber(headers, "x-api-quota-used");
+      const left = parseHeaderNumber(headers, "x-api-quota-left");
+      if (used !== null || left !== null) {
+        ledger.upstream = { date: today(), used, left, updatedAt: new Date().toISOString() };
+      }
+
+      await persist();
+      return points;
+    },
+
+    async report() {
+      await ensureLoaded();
+      const day = dayEntry();
+      const used = pointsUsedToday();
+      return {
+        date: today(),
+        budget: budget || null,
+        mode,
+        pointsUsedToday: used,
+        pointsLeftInBudget: budget > 0 ? Math.max(0, budget - used) : null,
+        exhausted: isExhausted(),
+        resetsInSeconds: secondsUntilUtcMidnight(),
+        upstream: ledger.upstream,
+        routes: day.routes,
+        history: Object.fromEntries(
+          Object.entries(ledger.days).map(([date, entry]) => [date, { points: entry.points, requests: entry.requests }])
+        )
+      };
+    }
+  };
+}
+
+// Configure the tracker from the environment:
+//   SPOONACULAR_DAILY_BUDGET=daily point budget (unset = unlimited)
+//   QUOTA_BUDGET_MODE=cache-only (default) | refuse
+//   QUOTA_FILE=optional path to persist the ledger
+export function createQuotaTrackerFromEnv(env = process.env) {
+  return createQuotaTracker({
+    budget: Number(env.SPOONACULAR_DAILY_BUDGET) || 0,
+    mode: (env.QUOTA_BUDGET_MODE || "cache-only").toLowerCase(),
+    file: env.QUOTA_FILE ? path.resolve(env.QUOTA_FILE) : undefined
+  });
+}
@@ -0,0 +1,142 @@
+import { mapConcurrent } from "./async.js";
+import { normalizeUnit } from "./shoppingList.js";
+
+// Scaling a recipe (recipe information with extendedIngredients and
+// nutrition) to other servings and converting it to US or metric units.
+
+export const UNIT_SYSTEMS = ["us", "metric"];
+
+// Spoonacular conversions in flight per recipe
+const CONVERT_CONCURRENCY = 4;
+
+// Milliliters and grams per canonical unit (see normalizeUnit); these convert
+// without knowing the ingredient
+const VOLUME_ML = {
+  teaspoon: 4.92892,
+  tablespoon: 14.7868,
+  "fluid ounce": 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+  milliliter: 1,
+  liter: 1000
+};
+
+const MASS_G = {
+  ounce: 28.3495,
+  pound: 453.592,
+  gram: 1,
+  kilogram: 1000
+};
+
+const METRIC_UNITS = new Set(["milliliter", "liter", "gram", "kilogram"]);
+
+function unitSystem(unit) {
+  if (METRIC_UNITS.has(unit)) return "metric";
+  return unit in VOLUME_ML || unit in MASS_G ? "us" : null;
+}
+
+function round(amount, system) {
+  if (system === "metric" && amount >= 10) return Math.round(amount);
+  return Math.round(amount * 100) / 100;
+}
+
+// Most readable unit of the system for an amount in milliliters or grams
+function tidyVolume(ml, system) {
+  if (system === "metric") return ml >= 1000 ? ["liter", ml / 1000] : ["milliliter", ml];
+  const tsp = ml / VOLUME_ML.teaspoon;
+  if (tsp < 3) return ["teaspoon", tsp];
+  if (tsp < 12) return ["tablespoon", ml / VOLUME_ML.tablespoon];
+  return ["cup", ml / VOLUME_ML.cup];
+}
+
+function tidyMass(grams, system) {
+  if (system === "metric") return grams >= 1000 ? ["kilogram", grams / 1000] : ["gram", grams];
+  return grams >= MASS_G.pound ? ["pound", grams / MASS_G.pound] : ["ounce", grams / MASS_G.ounce];
+}
+
+// Amount and unit of one (already scaled) ingredient in the target system.
+// In order:
+//   - units without a system (cloves, cans, "") are kept, units already in
+//     the target system only tidied
+//   - Spoonacular's own measures for the system, when the recipe has them
+//   - weights, and metric volumes to US volumes, by fixed factors
+//   - US volumes to metric through `convert` to grams, since that depends on
+//     the ingredient's density, falling back to milliliters
+// `method` tells which applied.
+export async function convertIngredient({ name, amount, unit, measures, factor }, system, convert) {
+  const canonical = normalizeUnit(unit);
+  const sourceSystem = unitSystem(canonical);
+  const result = (targetUnit, targetAmount, method) => ({ amount: round(targetAmount, system), unit: targetUnit, method });
+
+  if (!sourceSystem) return { amount: round(amount, system), unit, method: "none" };
+  if (sourceSystem === system) {
+    return canonical in MASS_G
+      ? result(...tidyMass(amount * MASS_G[canonical], system), "none")
+      : result(...tidyVolume(amount * VOLUME_ML[canonical], system), "none");
+  }
+
+  const measure = measures?.[system];
+  if (measure && typeof measure.amount === "number" && unitSystem(normalizeUnit(measure.unitShort)) === system) {
+    const converted = await convertIngredient({ name, amount: measure.amount * factor, unit: measure.unitShort }, system, convert);
+    return { ...converted, method: "spoonacular-measures" };
+  }
+
+  if (canonical in MASS_G) return result(...tidyMass(amount * MASS_G[canonical], system), "fixed");
+  if (system === "us") return result(...tidyVolume(amount * VOLUME_ML[canonical], system), "fixed");
+
+  const grams = await convert(name, amount, unit, "grams");
+  if (grams !== null) return result(...tidyMass(grams, system), "spoonacular-convert");
+  return result(...tidyVolume(amount * VOLUME_ML[canonical], system), "fixed");
+}
+
+// Nutrient amounts of the whole recipe at the new servings. Spoonacular's
+// nutrition is per serving, so the per-serving values don't change.
+function nutritionTotals(nutrition, servings) {
+  return (nutrition.nutrients || []).map(({ name, amount, unit }) => ({
+    name,
+    amount: Math.round(amount * servings * 100) / 100,
+    unit
+  }));
+}
+
+// The recipe for `servings` (default: unchanged) in the `system` units
+// (default: unchanged). `convert(name, amount, sourceUnit, targetUnit)`
+// resolves to the converted amount or null.
+export async function scaleRecipe(recipe, { servings, system }, convert) {
+  const originalServings = recipe.servings || 1;
+  const targetServings = servings ?? originalServings;
+  const factor = targetServings / originalServings;
+
+  const extendedIngredients = await mapConcurrent(recipe.extendedIngredients || [], CONVERT_CONCURRENCY, async ingredient => {
+    const { measures, ...rest } = ingredient;
+    const amount = (ingredient.amount || 0) * factor;
+    const scaled = {
+      ...rest,
+      amount: Math.round(amount * 100) / 100,
+      originalAmount: ingredient.amount,
+      originalUnit: ingredient.unit
+    };
+    if (!system) return scaled;
+
+    const converted = await convertIngredient({
+      name: ingredient.nameClean || ingredient.name,
+      amount,
+      unit: ingredient.unit,
+      measures,
+      factor
+    }, system, convert);
+    return { ...scaled, amount: converted.amount, unit: converted.unit, conversion: converted.method };
+  });
+
+  return {
+    ...recipe,
+    servings: targetServings,
+    extendedIngredients,
+    ...(recipe.nutrition && {
+      nutrition: { ...recipe.nutrition, totals: nutritionTotals(recipe.nutrition, targetServings) }
+    }),
+    scaling: { originalServings, servings: targetServings, factor: Math.round(factor * 1000) / 1000, units: system ?? null }
+  };
+}
@@ -0,0 +1,130 @@
+import { normalizeUnit } from "./shoppingList.js";
+
+// Our own recipe schema, independent of Spoonacular's field names. Bump the
+// version on any breaking change to the shape below; adding fields is fine.
+//   { id, title, image, sourceUrl, summary,
+//     times: { readyInMinutes, preparationMinutes, cookingMinutes },
+//     servings, diets, cuisines, dishTypes,
+//     ingredients: [{ id, name, amount, unit, aisle, original }],
+//     steps: [{ number, text }],
+//     macros: { calories, protein, fat, carbs } }
+// Every selected field is always present: null or [] when Spoonacular didn't
+// return it (search and similar results carry less than recipe information).
+export const RECIPE_SCHEMA_VERSION = 1;
+
+export const RECIPE_FIELDS = [
+  "id", "title", "image", "sourceUrl", "summary", "times", "servings",
+  "diets", "cuisines", "dishTypes", "ingredients", "steps", "macros"
+];
+
+export const RECIPE_VIEWS = {
+  card: ["id", "title", "image", "times", "servings"],
+  full: RECIPE_FIELDS
+};
+
+// Query parameters selecting the format; without either the raw Spoonacular
+// payload is returned as before
+export const RECIPE_VIEW_QUERY = {
+  view: { type: "enum", values: Object.keys(RECIPE_VIEWS) },
+  fields: { type: "enum", values: RECIPE_FIELDS, list: true }
+};
+
+// Response fields added by the cache layer, kept next to the normalized data
+const ENVELOPE_FIELDS = ["fromCache", "stale", "fetchedAt", "timestamp"];
+
+// Nutrient names in Spoonacular's nutrition.nutrients, per macro
+const MACRO_NUTRIENTS = { calories: "Calories", protein: "Protein", fat: "Fat", carbs: "Carbohydrates" };
+
+// validate() check for RECIPE_VIEW_QUERY
+export function checkRecipeView({ query }) {
+  return query.view && query.fields
+    ? [{ in: "query", field: "fields", message: "use either view or fields, not both" }]
+    : [];
+}
+
+// Field names selected by the validated view/fields query, or null for the raw payload
+export function recipeProjection({ view, fields }) {
+  if (fields) return ["id", ...fields.split(",").filter(field => field !== "id")];
+  return view ? RECIPE_VIEWS[view] : null;
+}
+
+function imageUrl(raw) {
+  if (raw.image && /^https?:\/\//.test(raw.image)) return raw.image;
+  if (raw.imageType) return `https://img.spoonacular.com/recipes/${raw.id}-556x370.${raw.imageType}`;
+  return raw.image ? `https://img.spoonacular.com/recipes/${raw.image}` : null;
+}
+
+function macros(raw) {
+  const nutrients = raw.nutrition?.nutrients;
+  if (!Array.isArray(nutrients)) return null;
+  return Object.fromEntries(Object.entries(MACRO_NUTRIENTS).map(([macro, name]) => [
+    macro,
+    nutrients.find(nutrient => nutrient.name === name)?.amount ?? null
+  ]));
+}
+
+function steps(raw) {
+  const sections = Array.isArray(raw.analyzedInstructions) ? raw.analyzedInstructions : [];
+  return sections
+    .flatMap(section => section.steps || [])
+    .map((step, index) => ({ number: index + 1, text: step.step }));
+}
+
+// Normalize one Spoonacular recipe to the full schema
+export function normalizeRecipe(raw) {
+  return {
+    id: raw.id,
+    title: raw.title ?? null,
+    image: imageUrl(raw),
+    sourceUrl: raw.sourceUrl ?? null,
+    summary: raw.summary ? raw.summary.replace(/<[^>]+>/g, "") : null,
+    times: {
+      readyInMinutes: raw.readyInMinutes ?? null,
+      preparationMinutes: raw.preparationMinutes > 0 ? raw.preparationMinutes : null,
+      cookingMinutes: raw.cookingMinutes > 0 ? raw.cookingMinutes : null
+    },
+    servings: raw.servings ?? null,
+    diets: raw.diets || [],
+    cuisines: raw.cuisines || [],
+    dishTypes: raw.dishTypes || [],
+    ingredients: (raw.extendedIngredients || []).map(ingredient => ({
+      id: ingredient.id ?? null,
+      name: ingredient.nameClean || ingredient.name,
+      amount: ingredient.amount ?? null,
+      unit: normalizeUnit(ingredient.unit),
+      aisle: ingredient.aisle ?? null,
+      original: ingredient.original ?? null
+    })),
+    steps: steps(raw),
+    macros: macros(raw)
+  };
+}
+
+// Normalized recipe with only the given fields
+export function projectRecipe(raw, fields) {
+  const recipe = normalizeRecipe(raw);
+  return Object.fromEntries(fields.map(field => [field, recipe[field]]));
+}
+
+function envelope(result) {
+  return Object.fromEntries(ENVELOPE_FIELDS.filter(field => field in result).map(field => [field, result[field]]));
+}
+
+// A single-recipe response in the requested format
+export function recipeInView(result, projection) {
+  if (!projection) return result;
+  return { schemaVersion: RECIPE_SCHEMA_VERSION, ...projectRecipe(result, projection), ...envelope(result) };
+}
+
+// A list response in the requested format. The recipes are read from
+// `listKey` ("recipes" for random) and always returned as `results`, next to
+// the response's other fields (pagination, cache envelope).
+export function recipesInView(result, projection, { listKey = "results" } = {}) {
+  if (!projection) return result;
+  const { [listKey]: recipes = [], ...rest } = result;
+  return {
+    schemaVersion: RECIPE_SCHEMA_VERSION,
+    ...rest,
+    results: recipes.map(recipe => projectRecipe(recipe, projection))
+  };
+}
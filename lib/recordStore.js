@@ -0,0 +1,103 @@
+import { randomUUID } from "crypto";
+import path from "path";
+import { readJsonFile, writeJsonFile } from "./jsonFile.js";
+
+// Small persistence layer for server-side documents (meal plans, ...).
+// Records are kept in memory and, when `file` is given, written through to a
+// JSON file so they survive restarts.
+export function createRecordStore({ file } = {}) {
+  let records = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  // Concurrent first calls share one read, so none replaces records another
+  // has already added to; a failed read is tried again by the next call
+  function load() {
+    loading ??= (file ? readJsonFile(file, {}) : Promise.resolve({})).then(loaded => {
+      records = loaded;
+      return records;
+    }, err => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  // Changes run one at a time, each seeing the ones before it and written
+  // through before the next starts
+  function exclusive(change) {
+    const run = writeQueue.then(async () => change(await load()));
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  function persist() {
+    return file ? writeJsonFile(file, records) : Promise.resolve();
+  }
+
+  return {
+    async list() {
+      return Object.values(await load());
+    },
+
+    async get(id) {
+      return (await load())[id];
+    },
+
+    // Store a new record; assigns id, createdAt and updatedAt
+    create(data) {
+      return exclusive(async () => {
+        const now = new Date().toISOString();
+        const record = { id: randomUUID(), ...data, createdAt: now, updatedAt: now };
+        records[record.id] = record;
+        await persist();
+        return record;
+      });
+    },
+
+    // Replace an existing record's data, or pass `change(record)` returning the
+    // new data to change the current record without losing concurrent changes
+    // (throw from it to leave the record as it is); returns undefined if the
+    // record doesn't exist
+    update(id, change) {
+      return exclusive(async () => {
+        if (!records[id]) return undefined;
+        const data = typeof change === "function" ? await change(records[id]) : change;
+        const { createdAt } = records[id];
+        records[id] = { ...data, id, createdAt, updatedAt: new Date().toISOString() };
+        await persist();
+        return records[id];
+      });
+    },
+
+    // Change the first record `matches` accepts, or create one when none
+    // does: `change(record or undefined)` returns the data, as for update()
+    upsert(matches, change) {
+      return exclusive(async () => {
+        const existing = Object.values(records).find(matches);
+        const data = await change(existing);
+        const now = new Date().toISOString();
+        const record = existing
+          ? { ...data, id: existing.id, createdAt: existing.createdAt, updatedAt: now }
+          : { id: randomUUID(), ...data, createdAt: now, updatedAt: now };
+        records[record.id] = record;
+        await persist();
+        return record;
+      });
+    },
+
+    delete(id) {
+      return exclusive(async () => {
+        if (!records[id]) return false;
+        delete records[id];
+        await persist();
+        return true;
+      });
+    }
+  };
+}
+
+// Record store persisted as <DATA_DIR>/<name>.json (DATA_DIR defaults to ./data)
+export function createRecordStoreFromEnv(name, env = process.env) {
+  return createRecordStore({ file: path.resolve(env.DATA_DIR || "data", `${name}.json`) });
+}
@@ -0,0 +1,112 @@
+import path from "path";
+import { createHash } from "crypto";
+import { Response } from "node-fetch";
+import { readJsonFile, writeJsonFile } from "./jsonFile.js";
+import { logger } from "./logger.js";
+
+export const UPSTREAM_MODES = ["live", "record", "replay"];
+
+// Response headers worth keeping in a recording. Quota headers are left out so
+// replayed responses never count against the points ledger.
+const RECORDED_HEADERS = ["content-type", "retry-after"];
+
+// Thrown in replay mode for a request nobody recorded
+export class UnrecordedRequestError extends Error {
+  constructor(key) {
+    super(`No recording for ${key.method} ${key.path}${key.params ? `?${key.params}` : ""}; record it with UPSTREAM_MODE=record`);
+    this.name = "UnrecordedRequestError";
+    this.status = 501;
+    this.code = "NOT_RECORDED";
+  }
+}
+
+// What identifies a recording: method, path and the query string or form body
+// with apiKey dropped and parameters sorted
+export function recordingKey(url, { method = "GET", body } = {}) {
+  const { pathname, searchParams } = new URL(url);
+  const params = new URLSearchParams(method === "GET" ? searchParams : body);
+  params.delete("apiKey");
+  params.sort();
+  return { method, path: pathname, params: params.toString() };
+}
+
+// File name for a key: readable route prefix plus a hash of the whole key
+export function recordingFile(dir, key) {
+  const slug = key.path.slice(1).replace(/[^\w.-]+/g, "_");
+  const hash = createHash("sha256").update(`${key.method} ${key.path}?${key.params}`).digest("hex").slice(0, 16);
+  return path.join(dir, `${key.method}_${slug}_${hash}.json`);
+}
+
+// Wrap an upstream client so its traffic is recorded to, or replayed from, `dir`:
+//   live:   pass-through
+//   record: forward to Spoonacular and save every response
+//   replay: answer only from recordings; unrecorded requests throw
+// The wrapper keeps the upstream client's request()/health() interface.
+export function createRecordingUpstream(upstream, { mode = "live", dir }) {
+  if (!UPSTREAM_MODES.includes(mode)) {
+    throw new Error(`Unknown UPSTREAM_MODE "${mode}" (expected ${UPSTREAM_MODES.join(", ")})`);
+  }
+  if (mode === "live") return upstream;
+
+  const stats = { recorded: 0, replayed: 0, missed: 0 };
+
+  async function record(key, response) {
+    const body = await response.text();
+    const headers = {};
+    for (const name of RECORDED_HEADERS) {
+      const value = response.headers.get(name);
+      if (value !== null) headers[name] = value;
+    }
+
+    await writeJsonFile(recordingFile(dir, key), {
+      ...key,
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body,
+      recordedAt: new Date().toISOString()
+    });
+    stats.recorded += 1;
+
+    // The original body has been read; hand callers a fresh copy
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  }
+
+  async function replay(key) {
+    const recording = await readJsonFile(recordingFile(dir, key), null);
+    if (!recording) {
+      stats.missed += 1;
+      const err = new UnrecordedRequestError(key);
+      logger.error("Replay miss", { error: err.message });
+      throw err;
+    }
+    stats.replayed += 1;
+    return new Response(recording.body, {
+      status: recording.status,
+      statusText: recording.statusText,
+      headers: recording.headers
+    });
+  }
+
+  return {
+    async request(url, options = {}) {
+      const key = recordingKey(url, options);
+      if (mode === "replay") return replay(key);
+      return record(key, await upstream.request(url, options));
+    },
+
+    health() {
+      return { ...upstream.health(), mode, recordings: { dir, ...stats } };
+    }
+  };
+}
+
+// Configure recording from the environment:
+//   UPSTREAM_MODE=live (default) | record | replay
+//   RECORDINGS_DIR=directory for recordings (defaults to DATA_DIR/recordings)
+export function createRecordingUpstreamFromEnv(upstream, env = process.env) {
+  return createRecordingUpstream(upstream, {
+    mode: (env.UPSTREAM_MODE || "live").toLowerCase(),
+    dir: path.resolve(env.RECORDINGS_DIR || path.join(env.DATA_DIR || "data", "recordings"))
+  });
+}
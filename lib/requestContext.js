@@ -0,0 +1,26 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Request IDs accepted from callers; anything else gets a fresh UUID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Per-request state (the request ID, the calling client) that helpers deep in
+// the call chain need without threading it through every function signature
+const storage = new AsyncLocalStorage();
+
+// Express middleware: run the rest of the request inside a fresh context.
+// The request ID comes from X-Request-Id when the caller sends a sane one, is
+// echoed back in the same header and tags every log line of the request.
+export function requestContextMiddleware(req, res, next) {
+  const given = req.get(REQUEST_ID_HEADER);
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  storage.run({ requestId: req.id }, next);
+}
+
+// Current request's context, or an empty object outside of a request
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
@@ -0,0 +1,91 @@
+// Allowed values for Spoonacular's recipe search filters
+// (https://spoonacular.com/food-api/docs#Search-Recipes-Complex)
+
+export const CUISINES = [
+  "African", "Asian", "American", "British", "Cajun", "Caribbean", "Chinese",
+  "Eastern European", "European", "French", "German", "Greek", "Indian", "Irish",
+  "Italian", "Japanese", "Jewish", "Korean", "Latin American", "Mediterranean",
+  "Mexican", "Middle Eastern", "Nordic", "Southern", "Spanish", "Thai", "Vietnamese"
+];
+
+export const DIETS = [
+  "Gluten Free", "Ketogenic", "Vegetarian", "Lacto-Vegetarian", "Ovo-Vegetarian",
+  "Vegan", "Pescetarian", "Paleo", "Primal", "Low FODMAP", "Whole30"
+];
+
+export const INTOLERANCES = [
+  "Dairy", "Egg", "Gluten", "Grain", "Peanut", "Seafood", "Sesame", "Shellfish",
+  "Soy", "Sulfite", "Tree Nut", "Wheat"
+];
+
+export const MEAL_TYPES = [
+  "main course", "side dish", "dessert", "appetizer", "salad", "bread", "breakfast",
+  "soup", "beverage", "sauce", "marinade", "fingerfood", "snack", "drink"
+];
+
+export const SORT_OPTIONS = [
+  "meta-score", "popularity", "healthiness", "price", "time", "random",
+  "max-used-ingredients", "min-missing-ingredients", "alcohol", "caffeine",
+  "energy", "calories", "carbohydrates", "carbs", "cholesterol", "total-fat",
+  "fat", "saturated-fat", "fiber", "protein", "sodium", "sugar"
+];
+
+export const SORT_DIRECTIONS = ["asc", "desc"];
+
+// complexSearch only pages through the first 1000 results
+export const MAX_OFFSET = 900;
+export const MAX_NUMBER = 100;
+export const DEFAULT_NUMBER = 12;
+
+// Fields accepted by /api/searchRecipes (see lib/validation.js)
+export const COMPLEX_SEARCH_QUERY = {
+  query: { type: "string", lowercase: true, maxLength: 200 },
+  cuisine: { type: "enum", values: CUISINES, list: true },
+  excludeCuisine: { type: "enum", values: CUISINES, list: true },
+  // A pipe means OR and a comma means AND for diets
+  diet: { type: "enum", values: DIETS, list: true, separators: ["|", ","] },
+  intolerances: { type: "enum", values: INTOLERANCES, list: true },
+  type: { type: "enum", values: MEAL_TYPES, list: true },
+  includeIngredients: { type: "list", lowercase: true, sort: true },
+  excludeIngredients: { type: "list", lowercase: true, sort: true },
+  maxReadyTime: { type: "integer", min: 1 },
+  sort: { type: "enum", values: SORT_OPTIONS },
+  sortDirection: { type: "enum", values: SORT_DIRECTIONS },
+  offset: { type: "integer", min: 0, max: MAX_OFFSET, default: 0 },
+  number: { type: "integer", min: 1, max: MAX_NUMBER, default: DEFAULT_NUMBER }
+};
+
+// Turn validated /api/searchRecipes query values into complexSearch
+// parameters (without apiKey), sorted so equal searches share a cache key
+export function buildComplexSearchParams(values) {
+  const params = new URLSearchParams();
+  for (const field of Object.keys(COMPLEX_SEARCH_QUERY)) {
+    if (values[field] !== undefined) params.set(field, String(values[field]));
+  }
+  params.sort();
+  return params;
+}
+
+// Pagination block for a complexSearch response; next/prev are links back to
+// our own route with only the offset changed
+export function buildPagination(data, params, routePath) {
+  const offset = Number(data.offset ?? params.get("offset"));
+  const number = Number(data.number ?? params.get("number"));
+  const totalResults = Number(data.totalResults ?? 0);
+
+  function link(newOffset) {
+    const linkParams = new URLSearchParams(params);
+    linkParams.set("offset", String(newOffset));
+    return `${routePath}?${linkParams}`;
+  }
+
+  const nextOffset = offset + number;
+  const hasNext = nextOffset < totalResults && nextOffset <= MAX_OFFSET;
+  return {
+    offset,
+    number,
+    totalResults,
+    next: hasNext ? link(nextOffset) : null,
+    prev: offset > 0 ? link(Math.max(0, offset - number)) : null
+  };
+}
@@ -0,0 +1,198 @@
+// Building an aggregated shopping list from recipe information
+// (extendedIngredients) - scaling, merging, pantry subtraction and grouping.
+
+export const MAX_SHOPPING_LIST_RECIPES = 20;
+
+// Spellings Spoonacular uses for the same unit; anything else is compared
+// lower-cased as-is
+const UNIT_ALIASES = {
+  tablespoon: ["tablespoon", "tablespoons", "tbsp", "tbsps", "tbs"],
+  teaspoon: ["teaspoon", "teaspoons", "tsp", "tsps"],
+  cup: ["cup", "cups"],
+  gram: ["gram", "grams", "g", "gs"],
+  kilogram: ["kilogram", "kilograms", "kg", "kgs"],
+  milliliter: ["milliliter", "milliliters", "millilitre", "millilitres", "ml"],
+  liter: ["liter", "liters", "litre", "litres", "l"],
+  ounce: ["ounce", "ounces", "oz"],
+  "fluid ounce": ["fluid ounce", "fluid ounces", "fl oz", "fl. oz"],
+  pint: ["pint", "pints", "pt"],
+  quart: ["quart", "quarts", "qt"],
+  gallon: ["gallon", "gallons", "gal"],
+  pound: ["pound", "pounds", "lb", "lbs"],
+  pinch: ["pinch", "pinches"],
+  clove: ["clove", "cloves"],
+  slice: ["slice", "slices"],
+  can: ["can", "cans"],
+  serving: ["serving", "servings"]
+};
+
+const UNIT_LOOKUP = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+// Canonical unit name ("" for unit-less items such as "2 eggs")
+export function normalizeUnit(unit) {
+  const key = String(unit ?? "").trim().toLowerCase().replace(/\.$/, "");
+  return UNIT_LOOKUP.get(key) ?? key;
+}
+
+// Whether `text` names the ingredient `name` as whole words, plurals included
+// ("2 eggs" mentions "egg", "eggplant" doesn't)
+export function mentionsIngredient(text, name) {
+  const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`\\b${escaped}(e?s)?\\b`).test(text.toLowerCase());
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function ingredientKey(ingredient) {
+  return ingredient.id ? `id:${ingredient.id}` : `name:${String(ingredient.nameClean || ingredient.name).toLowerCase()}`;
+}
+
+// Fields of a shopping list request (see lib/validation.js): either
+//   { recipes: [{ id, servings }] } or { ids: [...], servings }
+// plus an optional pantry of names or { name, amount, unit } objects
+const recipeId = { type: "integer", min: 1 };
+const servings = { type: "number", min: 1, max: 100 };
+
+export const SHOPPING_LIST_FIELDS = {
+  recipes: {
+    type: "array",
+    minItems: 1,
+    maxItems: MAX_SHOPPING_LIST_RECIPES,
+    items: { type: "object", fields: { id: { ...recipeId, required: true }, servings } }
+  },
+  ids: { type: "array", minItems: 1, maxItems: MAX_SHOPPING_LIST_RECIPES, items: recipeId },
+  servings: { ...servings, description: "Servings for every recipe in ids" },
+  pantry: {
+    type: "array",
+    items: {
+      type: "object",
+      shorthand: "name",
+      fields: {
+        name: { type: "string", required: true, maxLength: 100, lowercase: true },
+        amount: { type: "number", min: 0 },
+        unit: { type: "string", maxLength: 30 }
+      }
+    }
+  }
+};
+
+// Problems across SHOPPING_LIST_FIELDS, as validation details
+export function checkShoppingList({ body }) {
+  return body.recipes || body.ids ? [] : [{ in: "body", field: "recipes", message: "is required (or ids)" }];
+}
+
+// [{ id, servings }] of a validated request (`recipes` wins over `ids`);
+// servings undefined keeps the recipe's own
+export function shoppingListRecipes({ recipes, ids, servings }) {
+  return recipes || ids.map(id => ({ id, servings }));
+}
+
+// One line per recipe ingredient, scaled to the desired servings
+export function scaleIngredients(recipe, desiredServings) {
+  const factor = desiredServings && recipe.servings ? desiredServings / recipe.servings : 1;
+  return (recipe.extendedIngredients || []).map(ingredient => ({
+    key: ingredientKey(ingredient),
+    id: ingredient.id ?? null,
+    name: ingredient.nameClean || ingredient.name,
+    aisle: ingredient.aisle || "Other",
+    amount: (ingredient.amount || 0) * factor,
+    unit: normalizeUnit(ingredient.unit),
+    recipeIds: [recipe.id]
+  }));
+}
+
+// Merge lines of the same ingredient. Amounts in different units are converted
+// to the first unit seen with `convert(name, amount, fromUnit, toUnit)`, which
+// resolves to the converted amount or null when the units don't convert -
+// those stay as separate lines.
+export async function mergeIngredients(lines, convert) {
+  const merged = [];
+
+  for (const line of lines) {
+    const sameIngredient = merged.filter(item => item.key === line.key);
+    let target = sameIngredient.find(item => item.unit === line.unit);
+    let amount = line.amount;
+
+    if (!target && sameIngredient.length > 0 && line.unit && sameIngredient[0].unit) {
+      const converted = await convert(line.name, line.amount, line.unit, sameIngredient[0].unit);
+      if (converted !== null) {
+        target = sameIngredient[0];
+        amount = converted;
+      }
+    }
+
+    if (target) {
+      target.amount += amount;
+      for (const recipeId of line.recipeIds) {
+        if (!target.recipeIds.includes(recipeId)) target.recipeIds.push(recipeId);
+      }
+    } else {
+      merged.push({ ...line, recipeIds: [...line.recipeIds] });
+    }
+  }
+
+  return merged;
+}
+
+// Take pantry stock off the list. Items without an amount cover the whole
+// ingredient; amounts are converted to the list's unit when they differ.
+// Returns { items, coveredByPantry }.
+export async function subtractPantry(items, pantry, convert) {
+  const remaining = [];
+  const coveredByPantry = [];
+
+  for (const item of items) {
+    const stock = pantry.find(entry => entry.name === item.name.toLowerCase());
+    if (!stock) {
+      remaining.push(item);
+      continue;
+    }
+    if (stock.amount === undefined) {
+      coveredByPantry.push(item);
+      continue;
+    }
+
+    const stockUnit = normalizeUnit(stock.unit);
+    const stockAmount = stockUnit === item.unit
+      ? stock.amount
+      : await convert(item.name, stock.amount, stockUnit, item.unit);
+
+    if (stockAmount === null) {
+      remaining.push(item);
+    } else if (stockAmount >= item.amount) {
+      coveredByPantry.push(item);
+    } else {
+      remaining.push({ ...item, amount: item.amount - stockAmount, pantryAmount: stockAmount });
+    }
+  }
+
+  return { items: remaining, coveredByPantry };
+}
+
+// Item as returned to clients: internal merge key dropped, amounts rounded
+export function toShoppingListItem({ key, amount, pantryAmount, ...item }) {
+  return {
+    ...item,
+    amount: roundAmount(amount),
+    ...(pantryAmount !== undefined && { pantryAmount: roundAmount(pantryAmount) })
+  };
+}
+
+// Group items by aisle, both sorted alphabetically
+export function groupByAisle(items) {
+  const aisles = new Map();
+  for (const item of items) {
+    if (!aisles.has(item.aisle)) aisles.set(item.aisle, []);
+    aisles.get(item.aisle).push(toShoppingListItem(item));
+  }
+  return [...aisles.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([aisle, aisleItems]) => ({
+      aisle,
+      items: aisleItems.sort((a, b) => a.name.localeCompare(b.name))
+    }));
+}
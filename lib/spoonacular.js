@@ -0,0 +1,407 @@
+import { createHash } from "crypto";
+import { buildCacheKey, canonicalParams } from "./cacheKeys.js";
+import { logger, redactSecret } from "./logger.js";
+import { createMetrics } from "./metrics.js";
+import { routeFromUrl } from "./quota.js";
+import { getRequestContext } from "./requestContext.js";
+import { UpstreamUnreachableError, upstreamErrorFromResponse } from "./upstream.js";
+import { ValidationError } from "./validation.js";
+
+export const DEFAULT_BASE_URL = "https://api.spoonacular.com";
+
+// Recipe IDs fetched concurrently by /api/admin/prewarm and meal planning
+export const RECIPE_FETCH_CONCURRENCY = 4;
+
+// Recipe IDs accepted by fetchRecipesBulk, and sent per informationBulk call
+export const MAX_BULK_RECIPE_IDS = 100;
+export const INFORMATION_BULK_MAX_IDS = 50;
+
+// Recipe information is cached for an hour, per recipe
+const RECIPE_CACHE_TTL = 3600;
+
+// Cache keys and TTL of the POST analysis endpoints (see postForm)
+export const POST_CACHE_PREFIX = "post_";
+const POST_CACHE_TTL = 86400;
+
+// Form values as sent upstream and hashed: trimmed, with runs of spaces
+// collapsed and blank lines dropped, so re-sending the same ingredient list
+// with different whitespace hits the same cache entry
+export function normalizeForm(params) {
+  return Object.fromEntries(
+    Object.keys(params)
+      .filter(key => params[key] !== undefined && params[key] !== null)
+      .sort()
+      .map(key => [key, String(params[key])
+        .split(/\r?\n/)
+        .map(line => line.trim().replace(/\s+/g, " "))
+        .filter(Boolean)
+        .join("\n")])
+  );
+}
+
+function formHash(form) {
+  return createHash("sha256").update(JSON.stringify(form)).digest("hex").slice(0, 32);
+}
+
+function recipeCacheKey(recipeId) {
+  return `recipe_${recipeId}`;
+}
+
+// fetchRecipesBulk takes 1 to MAX_BULK_RECIPE_IDS positive integer IDs
+function assertRecipeIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_RECIPE_IDS) {
+    throw new ValidationError([{ in: "body", field: "ids", message: `must have between 1 and ${MAX_BULK_RECIPE_IDS} items` }]);
+  }
+  const invalid = ids.findIndex(id => !Number.isInteger(id) || id < 1);
+  if (invalid !== -1) {
+    throw new ValidationError([{ in: "body", field: "ids", message: `item ${invalid} must be a positive integer` }]);
+  }
+}
+
+// Everything that talks to Spoonacular: the cache-aware fetch helpers plus the
+// shared fetchers used by several routes.
+//   env:      SPOONACULAR_API_KEY, SPOONACULAR_BASE_URL (defaults to the real API), CACHE_STALE_GRACE
+//   cache, quota, upstream, clients: the app's cache store, quota tracker,
+//   upstream HTTP client and client registry
+//   metrics: registry for upstream latency/status and cache hit metrics
+export function createSpoonacularClient({ env = process.env, cache, quota, upstream, clients, metrics = createMetrics() }) {
+  const BASE_URL = (env.SPOONACULAR_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, "");
+  const API_KEY = env.SPOONACULAR_API_KEY;
+
+  // Record the points of an upstream response against the quota and the calling client
+  async function recordUpstreamUsage(url, headers) {
+    const points = await quota.record(routeFromUrl(url), headers);
+    clients.recordPoints(getRequestContext().client, points);
+  }
+
+  // Expired entries are kept this many seconds longer so they can be served
+  // (marked stale) when Spoonacular is failing. 0 disables serve-stale.
+  const STALE_GRACE = Number(env.CACHE_STALE_GRACE ?? 86400);
+
+  // Upstream fetches in progress, keyed by cache key, so concurrent misses for
+  // the same key share one Spoonacular call
+  const inFlight = new Map();
+  const coalescingStats = { upstreamFetches: 0, coalescedRequests: 0 };
+
+  // Cache lookups answered from cache (hits) or sent upstream (misses), overall
+  // and for the POST analysis endpoints
+  const hitStats = { cacheHits: 0, cacheMisses: 0, analysisCacheHits: 0, analysisCacheMisses: 0 };
+
+  function countLookup(cacheKey, hit) {
+    hitStats[hit ? "cacheHits" : "cacheMisses"] += 1;
+    if (cacheKey.startsWith(POST_CACHE_PREFIX)) hitStats[hit ? "analysisCacheHits" : "analysisCacheMisses"] += 1;
+  }
+
+  const upstreamRequests = metrics.counter("spoonacular_requests_total",
+    "Spoonacular calls by route and response status (error: no response)");
+  const upstreamDuration = metrics.histogram("spoonacular_request_duration_seconds",
+    "Spoonacular call latency by route, including retries");
+  metrics.gauge("cache_lookups_total", "Cache lookups answered from cache (hit) or sent upstream (miss)", () => [
+    { labels: { result: "hit" }, value: hitStats.cacheHits },
+    { labels: { result: "miss" }, value: hitStats.cacheMisses }
+  ], "counter");
+  metrics.gauge("cache_hit_ratio", "Share of cache lookups answered from cache", () => {
+    const lookups = hitStats.cacheHits + hitStats.cacheMisses;
+    return lookups > 0 ? hitStats.cacheHits / lookups : null;
+  });
+
+  // Errors that don't carry a status yet (network failures, bad JSON) become
+  // UpstreamUnreachableError; nothing leaves here with the API key in it
+  function asTypedError(err) {
+    if (err.status) return err;
+    return new UpstreamUnreachableError(redactSecret(err.message, API_KEY));
+  }
+
+  // Upstream failures worth answering with a stale copy: network errors,
+  // payment/quota (402, 429) and server errors. A replay miss isn't one: it
+  // must fail loudly.
+  function isRecoverableUpstreamError(err) {
+    if (err.code === "QUOTA_EXCEEDED") return true;
+    if (err.code === "NOT_RECORDED") return false;
+    if (err.upstreamStatus === undefined) return true;
+    return err.upstreamStatus === 402 || err.upstreamStatus === 429 || err.upstreamStatus >= 500;
+  }
+
+  function cachedResponse(entry, { stale = false } = {}) {
+    return {
+      ...entry.data,
+      fromCache: true,
+      ...(stale && { stale: true, fetchedAt: new Date(entry.fetchedAt).toISOString() }),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // One metered call to Spoonacular (a GET unless `request` says otherwise);
+  // resolves to the parsed JSON body
+  async function requestJson(url, request) {
+    await quota.assertCanSpend();
+
+    const route = routeFromUrl(url);
+    const started = process.hrtime.bigint();
+    let status = "error";
+    logger.debug("Fetching from API", { method: request?.method || "GET", url });
+    let response;
+    try {
+      response = await upstream.request(url, request);
+      status = response.status;
+    } finally {
+      upstreamRequests.inc({ route, status });
+      upstreamDuration.observe({ route }, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+    await recordUpstreamUsage(url, response.headers);
+
+    if (!response.ok) {
+      throw await upstreamErrorFromResponse(response, API_KEY);
+    }
+
+    return response.json();
+  }
+
+  // Store data along with when it was fetched; kept STALE_GRACE past its TTL
+  function storeInCache(cacheKey, data, cacheDuration) {
+    return cache.set(cacheKey, { data, fetchedAt: Date.now(), ttl: cacheDuration }, cacheDuration + STALE_GRACE);
+  }
+
+  // Fetch from Spoonacular and store the standardized response in cache
+  async function fetchFromApi(cacheKey, url, cacheDuration, request) {
+    try {
+      const data = await requestJson(url, request);
+
+      // Standardize the response format
+      let dataToCache;
+      if (Array.isArray(data)) {
+        // If the response is an array, wrap it in a 'results' object
+        logger.debug("Wrapping array response in 'results'", { cacheKey });
+        dataToCache = { results: data };
+      } else {
+        // Otherwise, use the object as is
+        dataToCache = data;
+      }
+
+      await storeInCache(cacheKey, dataToCache, cacheDuration);
+      logger.debug("Cached", { cacheKey });
+
+      return {
+        ...dataToCache,
+        fromCache: false,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (err) {
+      const typed = asTypedError(err);
+      logger.error("Failed to fetch data", { cacheKey, error: typed.message, status: typed.status });
+      throw typed;
+    }
+  }
+
+  // Join the in-flight fetch for this key, or start one with `start()`
+  function coalesce(key, start) {
+    const pending = inFlight.get(key);
+    if (pending) {
+      coalescingStats.coalescedRequests += 1;
+      logger.debug("Joining in-flight request", { key });
+      return pending;
+    }
+
+    coalescingStats.upstreamFetches += 1;
+    const promise = start().finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  function fetchCoalesced(cacheKey, url, cacheDuration, request) {
+    return coalesce(cacheKey, () => fetchFromApi(cacheKey, url, cacheDuration, request));
+  }
+
+  function revalidateInBackground(cacheKey, url, cacheDuration, request) {
+    if (inFlight.has(cacheKey)) return;
+    logger.debug("Revalidating in background", { cacheKey });
+    fetchCoalesced(cacheKey, url, cacheDuration, request)
+      .catch(err => logger.error("Background revalidation failed", { cacheKey, error: err.message }));
+  }
+
+  // Helper function to make API calls with caching.
+  // Pass `softTtl` (seconds) to answer from cache once an entry is older than it
+  // and refresh it in the background instead of blocking on Spoonacular, and
+  // `request` ({ method, headers, body }) for anything other than a plain GET.
+  async function fetchWithCache(cacheKey, url, cacheDuration = 3600, { softTtl, request } = {}) {
+    // Check cache first
+    let entry = await cache.get(cacheKey);
+    if (entry && entry.fetchedAt === undefined) entry = undefined; // written before fetchedAt existed
+    await quota.assertCanSpend({ cached: !!entry });
+
+    if (entry) {
+      const age = (Date.now() - entry.fetchedAt) / 1000;
+      const expired = age >= cacheDuration;
+
+      if (softTtl !== undefined && age >= softTtl) {
+        revalidateInBackground(cacheKey, url, cacheDuration, request);
+        logger.debug("Serving from cache while revalidating", { cacheKey });
+        countLookup(cacheKey, true);
+        return cachedResponse(entry, { stale: expired });
+      }
+      if (!expired) {
+        logger.debug("Serving from cache", { cacheKey });
+        countLookup(cacheKey, true);
+        return cachedResponse(entry);
+      }
+    }
+
+    countLookup(cacheKey, false);
+    try {
+      const result = await fetchCoalesced(cacheKey, url, cacheDuration, request);
+      return { ...result, timestamp: new Date().toISOString() };
+    } catch (err) {
+      if (entry && isRecoverableUpstreamError(err)) {
+        logger.warn("Serving stale cache after upstream failure", { cacheKey, error: err.message });
+        return cachedResponse(entry, { stale: true });
+      }
+      throw err;
+    }
+  }
+
+  // GET `path` with `params` through the cache, keyed by every param that is
+  // forwarded (see cacheKeys.js). `prefix` names the entry, with any IDs from
+  // the path (e.g. "similar_716429").
+  function fetchCached(prefix, path, params = {}, cacheDuration, options) {
+    const query = canonicalParams(params);
+    const cacheKey = buildCacheKey(prefix, query);
+    query.append("apiKey", API_KEY);
+    return fetchWithCache(cacheKey, `${BASE_URL}${path}?${query}`, cacheDuration, options);
+  }
+
+  // The form-encoded POST endpoints (analysis, parsing, classification).
+  // Their answer only depends on the form, so they are cached like GET routes,
+  // under post_<upstream path>_<hash of the normalized form>, for a day
+  function postForm(path, params) {
+    const form = normalizeForm(params);
+    const cacheKey = `${POST_CACHE_PREFIX}${path.slice(1).replace(/\//g, "_")}_${formHash(form)}`;
+    return fetchWithCache(cacheKey, `${BASE_URL}${path}`, POST_CACHE_TTL, {
+      request: {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ ...form, apiKey: API_KEY }).toString()
+      }
+    });
+  }
+
+  // Recipe details, shared by /api/recipe/:id and cache pre-warming.
+  // Hot route: refresh in the background after 45 minutes instead of blocking.
+  // Always fetched with nutrition, so the key is just recipe_<id> (shared
+  // with fetchRecipesBulk)
+  function fetchRecipeInformation(recipeId) {
+    const url = `${BASE_URL}/recipes/${recipeId}/information?apiKey=${API_KEY}&includeNutrition=true`;
+    return fetchWithCache(recipeCacheKey(recipeId), url, RECIPE_CACHE_TTL, { softTtl: 2700 });
+  }
+
+  // One informationBulk call; every recipe returned is cached under its own key
+  function fetchRecipeBatch(ids) {
+    const idsString = ids.join(",");
+    return coalesce(`informationBulk_${idsString}`, async () => {
+      try {
+        const recipes = await requestJson(`${BASE_URL}/recipes/informationBulk?ids=${idsString}&apiKey=${API_KEY}&includeNutrition=true`);
+        await Promise.all(recipes.map(recipe => storeInCache(recipeCacheKey(recipe.id), recipe, RECIPE_CACHE_TTL)));
+        logger.debug("Cached recipes from informationBulk", { count: recipes.length });
+        return recipes;
+      } catch (err) {
+        const typed = asTypedError(err);
+        logger.error("Failed to fetch recipes", { ids: idsString, error: typed.message, status: typed.status });
+        throw typed;
+      }
+    });
+  }
+
+  // Recipe information for several recipes, shared by /api/recipes/bulk,
+  // shopping lists and collections. Recipes are cached one by one under the
+  // key /api/recipe/:id uses, so only IDs missing from the cache are fetched
+  // from informationBulk (INFORMATION_BULK_MAX_IDS per call). Results follow
+  // the order of `ids`, once per ID; IDs Spoonacular doesn't know are left out.
+  async function fetchRecipesBulk(ids) {
+    assertRecipeIds(ids);
+    const uniqueIds = [...new Set(ids)];
+
+    const recipes = new Map();
+    const staleEntries = new Map();
+    for (const id of uniqueIds) {
+      const entry = await cache.get(recipeCacheKey(id));
+      if (entry?.fetchedAt === undefined) continue;
+      if ((Date.now() - entry.fetchedAt) / 1000 < RECIPE_CACHE_TTL) recipes.set(id, entry.data);
+      else staleEntries.set(id, entry);
+    }
+
+    const missing = uniqueIds.filter(id => !recipes.has(id));
+    hitStats.cacheHits += recipes.size;
+    hitStats.cacheMisses += missing.length;
+    await quota.assertCanSpend({ cached: missing.length === 0 });
+    if (recipes.size > 0) logger.debug("Serving bulk recipes from cache", { cached: recipes.size, requested: uniqueIds.length });
+
+    let fetched = false;
+    let stale = false;
+    for (let start = 0; start < missing.length; start += INFORMATION_BULK_MAX_IDS) {
+      const batch = missing.slice(start, start + INFORMATION_BULK_MAX_IDS);
+      try {
+        for (const recipe of await fetchRecipeBatch(batch)) recipes.set(recipe.id, recipe);
+        fetched = true;
+      } catch (err) {
+        // Same fallback as fetchWithCache, when every recipe of the batch has a stale copy
+        if (!isRecoverableUpstreamError(err) || !batch.every(id => staleEntries.has(id))) throw err;
+        logger.warn("Serving stale recipes after upstream failure", { ids: batch.join(","), error: err.message });
+        for (const id of batch) recipes.set(id, staleEntries.get(id).data);
+        stale = true;
+      }
+    }
+
+    return {
+      results: uniqueIds.filter(id => recipes.has(id)).map(id => recipes.get(id)),
+      fromCache: !fetched,
+      ...(stale && { stale: true }),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Recipe nutrition widget, shared by /api/recipe/:id/nutrition and meal plans
+  function fetchRecipeNutrition(recipeId) {
+    return fetchCached(`nutrition_${recipeId}`, `/recipes/${recipeId}/nutritionWidget.json`);
+  }
+
+  // Unit conversion, shared by /api/ingredients/convert and shopping lists
+  function convertAmount(ingredientName, sourceAmount, sourceUnit, targetUnit) {
+    return fetchCached("convert", "/recipes/convert", { ingredientName, sourceAmount, sourceUnit, targetUnit });
+  }
+
+  // Convert an amount of an ingredient between units, for shopping lists and
+  // recipe scaling. Conversions are linear, so only "1 <unit>" is looked up
+  // (and cached) per ingredient and unit pair. Resolves to null when
+  // Spoonacular can't convert between the units.
+  async function convertLinear(ingredientName, amount, sourceUnit, targetUnit) {
+    try {
+      const result = await convertAmount(ingredientName.toLowerCase(), 1, sourceUnit, targetUnit);
+      return typeof result.targetAmount === "number" ? result.targetAmount * amount : null;
+    } catch (err) {
+      // Only Spoonacular refusing this conversion (400/404) gives null; quota,
+      // timeout, circuit breaker and server errors are thrown
+      if (err.upstreamStatus !== 400 && err.upstreamStatus !== 404) throw err;
+      logger.warn("Could not convert ingredient", { ingredientName, sourceUnit, targetUnit, error: err.message });
+      return null;
+    }
+  }
+
+  return {
+    BASE_URL,
+    API_KEY,
+    fetchWithCache,
+    fetchCached,
+    postForm,
+    fetchRecipeInformation,
+    fetchRecipesBulk,
+    fetchRecipeNutrition,
+    convertAmount,
+    convertLinear,
+    coalescingStats() {
+      return { inFlightRequests: inFlight.size, ...coalescingStats };
+    },
+    hitStats() {
+      return { ...hitStats };
+    }
+  };
+}
@@ -0,0 +1,260 @@
+import fetch, { Response } from "node-fetch";
+import { logger, redactSecret } from "./logger.js";
+import { secondsUntilUtcMidnight } from "./quota.js";
+
+// Responses that are worth retrying (for idempotent requests). Any 5xx or 429
+// counts as a failure for the circuit breaker.
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+// Thrown without contacting Spoonacular while the circuit breaker is open
+export class CircuitOpenError extends Error {
+  constructor(retryAfter) {
+    super(`Spoonacular is unavailable after repeated failures; retrying in ${retryAfter}s`);
+    this.name = "CircuitOpenError";
+    this.status = 503;
+    this.code = "UPSTREAM_UNAVAILABLE";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Thrown when a request takes longer than the configured timeout
+export class UpstreamTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Spoonacular did not respond within ${timeoutMs}ms`);
+    this.name = "UpstreamTimeoutError";
+    this.status = 504;
+    this.code = "UPSTREAM_TIMEOUT";
+  }
+}
+
+// How a Spoonacular error status is answered to our clients. Spoonacular's own
+// auth and billing problems are ours, not the client's, so they become 502/503.
+const UPSTREAM_STATUS_MAP = {
+  400: { status: 400, code: "UPSTREAM_BAD_REQUEST", message: "Spoonacular rejected the request" },
+  401: { status: 502, code: "UPSTREAM_AUTH_FAILED", message: "Spoonacular rejected our API key" },
+  402: { status: 503, code: "UPSTREAM_QUOTA_EXHAUSTED", message: "Spoonacular's daily points quota is used up" },
+  403: { status: 502, code: "UPSTREAM_AUTH_FAILED", message: "Spoonacular refused access" },
+  404: { status: 404, code: "NOT_FOUND", message: "Spoonacular has no such resource" },
+  429: { status: 429, code: "UPSTREAM_RATE_LIMITED", message: "Spoonacular is rate limiting us" },
+  503: { status: 503, code: "UPSTREAM_UNAVAILABLE", message: "Spoonacular is unavailable" }
+};
+const UPSTREAM_FALLBACK = { status: 502, code: "BAD_GATEWAY", message: "Spoonacular returned an error" };
+
+// Longest upstream message passed on to clients
+const MAX_UPSTREAM_MESSAGE = 300;
+
+// Thrown for a non-2xx Spoonacular response. Keeps the upstream status and a
+// sanitized upstream message; `status`/`code` are what our clients get.
+export class UpstreamError extends Error {
+  constructor(upstreamStatus, { upstreamMessage, retryAfter } = {}) {
+    const mapped = UPSTREAM_STATUS_MAP[upstreamStatus] || UPSTREAM_FALLBACK;
+    super(upstreamMessage
+      ? `${mapped.message} (${upstreamStatus}): ${upstreamMessage}`
+      : `${mapped.message} (${upstreamStatus})`);
+    this.name = "UpstreamError";
+    this.status = mapped.status;
+    this.code = mapped.code;
+    this.upstreamStatus = upstreamStatus;
+    this.upstreamMessage = upstreamMessage;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Build an UpstreamError from a failed response without ever echoing `apiKey`
+export async function upstreamErrorFromResponse(response, apiKey) {
+  const body = redactSecret(await response.text().catch(() => ""), apiKey);
+  let upstreamMessage = body;
+  try {
+    const parsed = JSON.parse(body);
+    upstreamMessage = parsed.message || parsed.error || "";
+  } catch {
+    // not JSON - keep the text
+  }
+  upstreamMessage = String(upstreamMessage).trim().slice(0, MAX_UPSTREAM_MESSAGE) || undefined;
+
+  let retryAfter;
+  const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+  if (retryAfterMs !== null) retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  else if (response.status === 402) retryAfter = secondsUntilUtcMidnight();
+  else if (response.status === 429 || response.status === 503) retryAfter = 1;
+
+  return new UpstreamError(response.status, { upstreamMessage, retryAfter });
+}
+
+// Thrown when Spoonacular can't be reached at all (DNS, refused connection, reset)
+export class UpstreamUnreachableError extends Error {
+  constructor(message) {
+    super(`Could not reach Spoonacular: ${message}`);
+    this.name = "UpstreamUnreachableError";
+    this.status = 502;
+    this.code = "UPSTREAM_UNREACHABLE";
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date; returns ms or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Shared client for every call to Spoonacular: per-request timeout, retries
+// with jittered exponential backoff for idempotent requests (honoring
+// Retry-After), and a circuit breaker that fails fast after repeated failures.
+// Non-2xx responses are returned, not thrown - callers decide what they mean.
+export function createUpstreamClient({
+  fetchImpl = fetch,
+  timeoutMs = 10000,
+  maxRetries = 2,
+  retryBaseMs = 300,
+  retryMaxMs = 5000,
+  failureThreshold = 5,
+  cooldownMs = 30000
+} = {}) {
+  const breaker = {
+    state: "closed", // closed -> open -> half-open -> closed
+    consecutiveFailures: 0,
+    openedAt: null,
+    lastFailure: null
+  };
+  const counters = { requests: 0, retries: 0, timeouts: 0, failures: 0, rejected: 0 };
+  let trialInFlight = false;
+
+  function backoffDelay(attempt) {
+    // "Full jitter": anywhere between 0 and the exponential ceiling
+    const ceiling = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  function checkBreaker() {
+    if (breaker.state === "open") {
+      const remaining = breaker.openedAt + cooldownMs - Date.now();
+      if (remaining > 0) {
+        counters.rejected += 1;
+        throw new CircuitOpenError(Math.ceil(remaining / 1000));
+      }
+      breaker.state = "half-open";
+    }
+    // Half-open lets a single trial request through
+    if (breaker.state === "half-open") {
+      if (trialInFlight) {
+        counters.rejected += 1;
+        throw new CircuitOpenError(Math.ceil(cooldownMs / 1000));
+      }
+      trialInFlight = true;
+    }
+  }
+
+  function recordSuccess() {
+    breaker.state = "closed";
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+  }
+
+  function recordFailure(reason) {
+    counters.failures += 1;
+    breaker.consecutiveFailures += 1;
+    breaker.lastFailure = { reason, at: new Date().toISOString() };
+    if (breaker.state === "half-open" || breaker.consecutiveFailures >= failureThreshold) {
+      if (breaker.state !== "open") logger.warn("Circuit breaker opened", { reason });
+      breaker.state = "open";
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  // The timeout covers the body too: it's read here and handed back buffered
+  async function attempt(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(url, { ...options, signal: controller.signal });
+      const body = await response.arrayBuffer();
+      return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    } catch (err) {
+      if (controller.signal.aborted) {
+        counters.timeouts += 1;
+        throw new UpstreamTimeoutError(timeoutMs);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    // `idempotent` defaults to true for GET; only idempotent requests are retried
+    async request(url, { method = "GET", headers, body, idempotent = method === "GET" } = {}) {
+      const retries = idempotent ? maxRetries : 0;
+
+      for (let attemptNumber = 0; ; attemptNumber++) {
+        checkBreaker();
+        counters.requests += 1;
+
+        let response;
+        try {
+          response = await attempt(url, { method, headers, body });
+        } catch (err) {
+          trialInFlight = false;
+          recordFailure(err.message);
+          if (attemptNumber >= retries) throw err;
+          counters.retries += 1;
+          await sleep(backoffDelay(attemptNumber));
+          continue;
+        }
+        trialInFlight = false;
+
+        if (response.status < 500 && response.status !== 429) {
+          recordSuccess();
+          return response;
+        }
+
+        recordFailure(`HTTP ${response.status}`);
+        const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+        // Don't hold the client's request open for a long Retry-After
+        if (!RETRYABLE_STATUSES.has(response.status) || attemptNumber >= retries ||
+            (retryAfterMs !== null && retryAfterMs > retryMaxMs)) {
+          return response;
+        }
+        // Drain the body so the connection can be reused
+        await response.text().catch(() => {});
+        counters.retries += 1;
+        await sleep(retryAfterMs ?? backoffDelay(attemptNumber));
+      }
+    },
+
+    health() {
+      const retryAt = breaker.state === "open" ? new Date(breaker.openedAt + cooldownMs).toISOString() : null;
+      return {
+        circuit: breaker.state,
+        consecutiveFailures: breaker.consecutiveFailures,
+        failureThreshold,
+        lastFailure: breaker.lastFailure,
+        retryAt,
+        timeoutMs,
+        maxRetries,
+        ...counters
+      };
+    }
+  };
+}
+
+// Configure the client from the environment (all optional):
+//   UPSTREAM_TIMEOUT_MS, UPSTREAM_MAX_RETRIES, UPSTREAM_RETRY_BASE_MS,
+//   UPSTREAM_RETRY_MAX_MS, BREAKER_FAILURE_THRESHOLD, BREAKER_COOLDOWN_MS
+export function createUpstreamClientFromEnv(env = process.env) {
+  const number = (name, fallback) => (env[name] !== undefined && env[name] !== "" ? Number(env[name]) : fallback);
+  return createUpstreamClient({
+    timeoutMs: number("UPSTREAM_TIMEOUT_MS", 10000),
+    maxRetries: number("UPSTREAM_MAX_RETRIES", 2),
+    retryBaseMs: number("UPSTREAM_RETRY_BASE_MS", 300),
+    retryMaxMs: number("UPSTREAM_RETRY_MAX_MS", 5000),
+    failureThreshold: number("BREAKER_FAILURE_THRESHOLD", 5),
+    cooldownMs: number("BREAKER_COOLDOWN_MS", 30000)
+  });
+}
@@ -0,0 +1,21 @@
+// Users of the per-user routes (collections, pantry, dietary profile, meal
+// plans). A user is named by the X-User-Id header, within the calling client
+// when client keys are enabled, so two apps can't see each other's users.
+
+export const USER_ID_HEADER = "X-User-Id";
+
+const userId = { type: "string", maxLength: 200 };
+
+// Header specs (see lib/validation.js): routes storing per-user records
+// require the header, routes it only personalizes accept it
+export const USER_HEADER = { [USER_ID_HEADER.toLowerCase()]: { ...userId, required: true } };
+export const OPTIONAL_USER_HEADER = { [USER_ID_HEADER.toLowerCase()]: userId };
+
+// { client, userId } of a validated request; userId is null without the header
+export function ownerOf(req) {
+  return { client: req.client?.name ?? null, userId: req.valid.headers[USER_ID_HEADER.toLowerCase()] ?? null };
+}
+
+export function isOwnedBy(record, owner) {
+  return record.client === owner.client && (record.userId ?? null) === owner.userId;
+}
@@ -0,0 +1,224 @@
+import { sendError } from "./http.js";
+
+// Declarative request validation. A route schema lists the fields it accepts in
+// `params`, `query`, `body` and `headers` (lower-case names), each described by
+// a spec such as
+//   { type: "integer", min: 1, max: 100, default: 10 }
+// Types:
+//   string   trimmed; maxLength (default 500), lowercase
+//   integer  min, max
+//   number   min, max
+//   boolean  true/false or "true"/"false"
+//   enum     values (canonical spellings, matched case-insensitively);
+//            list: true accepts several separated by `separators` (default ",")
+//   list     comma separated string or array of strings; lowercase, sort
+//   text     string, or array of strings joined with newlines
+//   url      absolute http(s) URL
+//   date     calendar date as YYYY-MM-DD
+//   array    minItems, maxItems, items (spec applied to every item)
+//   object   fields (specs of its fields; unknown ones are dropped), or any
+//            object as-is without fields; shorthand names the field a plain
+//            string stands for ("salt" -> { name: "salt" })
+// Every spec also takes `required`, `default` and `description` (shown in the
+// OpenAPI document). A schema may add `check(values)` for rules across fields
+// (returns a list of details) and an `example` shown with validation errors.
+
+export const VALIDATION_ERROR = "VALIDATION_ERROR";
+
+// Thrown (or sent) when a request doesn't match its schema. `details` lists
+// every problem as { in, field, message }.
+export class ValidationError extends Error {
+  constructor(details, example) {
+    super(details.map(detail => `${detail.field}: ${detail.message}`).join("; "));
+    this.name = "ValidationError";
+    this.status = 400;
+    this.code = VALIDATION_ERROR;
+    this.details = details;
+    this.example = example;
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isMissing(raw) {
+  return raw === undefined || raw === null || raw === "";
+}
+
+function rangeMessage(kind, { min, max }) {
+  if (min !== undefined && max !== undefined) return `must be ${kind} between ${min} and ${max}`;
+  if (min !== undefined) return `must be ${kind} of at least ${min}`;
+  if (max !== undefined) return `must be ${kind} of at most ${max}`;
+  return `must be ${kind}`;
+}
+
+function inRange(value, { min, max }) {
+  return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+function coerceString(spec, raw) {
+  if (typeof raw !== "string" && typeof raw !== "number") return { error: "must be a string" };
+  let value = String(raw).trim();
+  if (value === "") return spec.required ? { error: "is required" } : { value: spec.default };
+  const maxLength = spec.maxLength ?? 500;
+  if (value.length > maxLength) return { error: `must be at most ${maxLength} characters` };
+  if (spec.lowercase) value = value.toLowerCase();
+  return { value };
+}
+
+function coerceEnum(spec, raw) {
+  if (typeof raw !== "string") return { error: "must be a string" };
+  const byLowerCase = new Map(spec.values.map(value => [String(value).toLowerCase(), value]));
+  const separators = spec.separators || [","];
+  const separator = separators.find(candidate => raw.includes(candidate)) || separators[0];
+  const items = spec.list ? raw.split(separator) : [raw];
+  const values = [];
+
+  for (const item of items.map(item => item.trim()).filter(Boolean)) {
+    const canonical = byLowerCase.get(item.toLowerCase());
+    if (canonical === undefined) return { error: `"${item}" is not one of ${spec.values.join(", ")}` };
+    if (!values.includes(canonical)) values.push(canonical);
+  }
+  if (values.length === 0) return spec.required ? { error: "is required" } : { value: spec.default };
+
+  // Order doesn't change the answer, so sort to keep cache keys stable
+  return { value: values.sort().join(separator) };
+}
+
+function coerceList(spec, raw) {
+  const items = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : null;
+  if (!items || !items.every(item => typeof item === "string")) {
+    return { error: "must be a comma separated list or an array of strings" };
+  }
+  let values = items.map(item => item.trim()).filter(Boolean);
+  if (spec.lowercase) values = values.map(item => item.toLowerCase());
+  if (spec.sort) values = [...new Set(values)].sort();
+  if (values.length === 0) return spec.required ? { error: "is required" } : { value: spec.default };
+  return { value: values.join(",") };
+}
+
+// Coerce one raw value against its spec. Returns { value } or { error }.
+export function coerceField(spec, raw) {
+  if (isMissing(raw)) {
+    return spec.required ? { error: "is required" } : { value: spec.default };
+  }
+
+  switch (spec.type) {
+    case "string":
+      return coerceString(spec, raw);
+    case "integer": {
+      const value = Number(raw);
+      if (typeof raw === "boolean" || !Number.isInteger(value) || !inRange(value, spec)) {
+        return { error: rangeMessage("an integer", spec) };
+      }
+      return { value };
+    }
+    case "number": {
+      const value = Number(raw);
+      if (typeof raw === "boolean" || !Number.isFinite(value) || !inRange(value, spec)) {
+        return { error: rangeMessage("a number", spec) };
+      }
+      return { value };
+    }
+    case "boolean":
+      if (raw === true || raw === "true") return { value: true };
+      if (raw === false || raw === "false") return { value: false };
+      return { error: "must be true or false" };
+    case "enum":
+      return coerceEnum(spec, raw);
+    case "list":
+      return coerceList(spec, raw);
+    case "text":
+      if (Array.isArray(raw) && raw.every(item => typeof item === "string")) {
+        return coerceString({ ...spec, maxLength: spec.maxLength ?? 10000 }, raw.join("\n"));
+      }
+      return coerceString({ ...spec, maxLength: spec.maxLength ?? 10000 }, raw);
+    case "url": {
+      const result = coerceString({ ...spec, maxLength: spec.maxLength ?? 2000 }, raw);
+      if (result.error || result.value === undefined) return result;
+      try {
+        const { protocol } = new URL(result.value);
+        if (protocol === "http:" || protocol === "https:") return result;
+      } catch {
+        // fall through
+      }
+      return { error: "must be an http(s) URL" };
+    }
+    case "date": {
+      if (typeof raw !== "string" || !DATE_PATTERN.test(raw.trim())) return { error: "must be a date as YYYY-MM-DD" };
+      const value = raw.trim();
+      // Date.parse accepts 2024-02-30; a real date survives the round trip
+      const parsed = new Date(`${value}T00:00:00Z`);
+      if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+        return { error: "must be a date as YYYY-MM-DD" };
+      }
+      return { value };
+    }
+    case "array": {
+      if (!Array.isArray(raw)) return { error: "must be an array" };
+      const { minItems = 0, maxItems = Infinity } = spec;
+      if (raw.length < minItems || raw.length > maxItems) {
+        return { error: `must have between ${minItems} and ${maxItems === Infinity ? "any number of" : maxItems} items` };
+      }
+      const value = [];
+      for (const [index, item] of raw.entries()) {
+        const result = coerceField({ ...spec.items, required: true }, item);
+        if (result.error) return { error: `item ${index} ${result.error}` };
+        value.push(result.value);
+      }
+      return { value };
+    }
+    case "object": {
+      if (spec.shorthand && typeof raw === "string") return coerceField(spec, { [spec.shorthand]: raw });
+      if (typeof raw !== "object" || Array.isArray(raw)) return { error: "must be an object" };
+      if (!spec.fields) return { value: raw };
+      const { values, errors } = validateFields(spec.fields, raw);
+      if (errors.length > 0) return { error: errors.map(error => `${error.field} ${error.message}`).join(", ") };
+      return { value: values };
+    }
+    default:
+      throw new Error(`Unknown validation type "${spec.type}"`);
+  }
+}
+
+// Validate the fields of one part of the request (`location` is "params",
+// "query" or "body"). Unknown fields are ignored. Returns { values, errors }.
+export function validateFields(fields, source = {}, location) {
+  const values = {};
+  const errors = [];
+  for (const [field, spec] of Object.entries(fields)) {
+    const result = coerceField(spec, source?.[field]);
+    if (result.error) errors.push({ in: location, field, message: result.error });
+    else if (result.value !== undefined) values[field] = result.value;
+  }
+  return { values, errors };
+}
+
+// Validate a request against a route schema. Returns { values, errors } where
+// values is { params, query, body, headers } with defaults applied.
+export function validateRequest(schema, req) {
+  const values = {};
+  const errors = [];
+  for (const location of ["params", "query", "body", "headers"]) {
+    const result = validateFields(schema[location] || {}, req[location], location);
+    values[location] = result.values;
+    errors.push(...result.errors);
+  }
+  if (errors.length === 0 && schema.check) errors.push(...schema.check(values));
+  return { values, errors };
+}
+
+// Express middleware: validate and put the coerced values on `req.valid`, or
+// answer 400 with every problem found
+export function validate(schema) {
+  const middleware = (req, res, next) => {
+    const { values, errors } = validateRequest(schema, req);
+    if (errors.length > 0) {
+      return sendError(res, new ValidationError(errors, schema.example), "Invalid request parameters");
+    }
+    req.valid = values;
+    next();
+  };
+  // Read by lib/openapi.js to document the route's parameters
+  middleware.schema = schema;
+  return middleware;
+}
@@ -0,0 +1,160 @@
+import express from "express";
+import { mapConcurrent } from "../lib/async.js";
+import { NotFoundError, sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe } from "../lib/openapi.js";
+import { POST_CACHE_PREFIX, RECIPE_FETCH_CONCURRENCY } from "../lib/spoonacular.js";
+import { validate } from "../lib/validation.js";
+
+const MAX_PREWARM_IDS = 100;
+
+// Request schemas, one per route (see lib/validation.js)
+const schemas = {
+  cacheEntry: {
+    query: { key: { type: "string", required: true, maxLength: 2000 } },
+    example: "/api/cache/entries?key=recipe_716429"
+  },
+  deleteCacheEntries: {
+    query: { key: { type: "string", maxLength: 2000 }, prefix: { type: "string", maxLength: 2000 } },
+    check: ({ query }) => query.key || query.prefix ? [] : [{ in: "query", field: "key", message: "is required (or prefix)" }],
+    example: "/api/cache/entries?prefix=search_"
+  },
+  prewarm: {
+    body: { ids: { type: "array", required: true, minItems: 1, maxItems: MAX_PREWARM_IDS, items: { type: "integer", min: 1 } } },
+    example: { ids: [716429, 715538] }
+  }
+};
+
+// Debug, cache and client administration endpoints. Mounted behind the admin
+// gate in app.js (see ADMIN_PATHS).
+export function adminRoutes({ env, cache, clients, spoonacular }) {
+  const router = express.Router();
+  const { fetchRecipeInformation } = spoonacular;
+
+  // Debug endpoint to check environment variables
+  router.get("/api/debug", describe({
+    summary: "Check the wrapper's configuration"
+  }), (req, res) => {
+    res.json({
+      hasSpoonacularKey: !!env.SPOONACULAR_API_KEY,
+      keyLength: env.SPOONACULAR_API_KEY ? env.SPOONACULAR_API_KEY.length : 0,
+      nodeEnv: env.NODE_ENV || 'not set'
+    });
+  });
+
+  // Cache statistics endpoint
+  router.get("/api/cache/stats", describe({
+    summary: "Cache and request coalescing statistics"
+  }), async (req, res) => {
+    try {
+      const keys = await cache.keys();
+      const stats = {
+        store: cache.name,
+        totalCachedItems: keys.length,
+        cachedQueries: keys.filter(key => key.startsWith('search_')).length,
+        cachedRecipes: keys.filter(key => key.startsWith('recipe_')).length,
+        cachedIngredients: keys.filter(key => key.startsWith('ingredient_')).length,
+        cachedAnalyses: keys.filter(key => key.startsWith(POST_CACHE_PREFIX)).length,
+        ...spoonacular.hitStats(),
+        ...spoonacular.coalescingStats(),
+        cacheKeys: keys
+      };
+      res.json(stats);
+    } catch (err) {
+      logger.error("Error reading cache stats", { error: err });
+      sendError(res, err, "Failed to read cache stats");
+    }
+  });
+
+  // Per-client request counts and Spoonacular points for today
+  router.get("/api/admin/clients", describe({
+    summary: "Requests and Spoonacular points per client today"
+  }), (req, res) => {
+    res.json({ enabled: clients.enabled, clients: clients.report() });
+  });
+
+  // Inspect a single cache entry with its freshness and expiry
+  router.get("/api/cache/entries", describe({
+    summary: "Inspect a cache entry"
+  }), validate(schemas.cacheEntry), async (req, res) => {
+    const { key } = req.valid.query;
+
+    try {
+      const entry = await cache.get(key);
+      if (!entry) {
+        return sendError(res, new NotFoundError(`No cache entry "${key}"`), "Cache entry not found");
+      }
+
+      const expiresAt = await cache.expiresAt(key);
+      const freshUntil = entry.ttl !== undefined ? entry.fetchedAt + entry.ttl * 1000 : null;
+      res.json({
+        key,
+        fetchedAt: entry.fetchedAt ? new Date(entry.fetchedAt).toISOString() : null,
+        freshUntil: freshUntil ? new Date(freshUntil).toISOString() : null,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        ttlSeconds: freshUntil ? Math.max(0, Math.round((freshUntil - Date.now()) / 1000)) : null,
+        stale: freshUntil ? freshUntil <= Date.now() : false,
+        data: entry.data
+      });
+    } catch (err) {
+      logger.error("Error reading cache entry", { error: err });
+      sendError(res, err, "Failed to read cache entry");
+    }
+  });
+
+  // Delete a single cache entry (?key=) or every entry starting with ?prefix=
+  router.delete("/api/cache/entries", describe({
+    summary: "Delete a cache entry or every entry with a prefix"
+  }), validate(schemas.deleteCacheEntries), async (req, res) => {
+    const { key, prefix } = req.valid.query;
+
+    try {
+      const keys = key ? [key] : (await cache.keys()).filter(cacheKey => cacheKey.startsWith(prefix));
+      const deleted = await cache.del(keys);
+      res.json({ message: `Deleted ${deleted} cache entries`, deleted });
+    } catch (err) {
+      logger.error("Error deleting cache entries", { error: err });
+      sendError(res, err, "Failed to delete cache entries");
+    }
+  });
+
+  // Fetch a list of recipe IDs into the cache ahead of demand
+  router.post("/api/admin/prewarm", describe({
+    summary: "Fetch recipes into the cache ahead of demand"
+  }), validate(schemas.prewarm), async (req, res) => {
+    const { ids } = req.valid.body;
+
+    const results = await mapConcurrent(ids, RECIPE_FETCH_CONCURRENCY, async id => {
+      try {
+        const result = await fetchRecipeInformation(id);
+        return { id, status: result.fromCache ? "cached" : "fetched" };
+      } catch (err) {
+        return { id, status: "failed", error: err.message };
+      }
+    });
+
+    const count = status => results.filter(result => result.status === status).length;
+    res.json({
+      requested: ids.length,
+      fetched: count("fetched"),
+      alreadyCached: count("cached"),
+      failed: count("failed"),
+      results
+    });
+  });
+
+  // Clear cache endpoint (useful for development)
+  router.delete("/api/cache/clear", describe({
+    summary: "Clear the cache"
+  }), async (req, res) => {
+    try {
+      await cache.flush();
+      res.json({ message: "Cache cleared successfully" });
+    } catch (err) {
+      logger.error("Error clearing cache", { error: err });
+      sendError(res, err, "Failed to clear cache");
+    }
+  });
+
+  return router;
+}
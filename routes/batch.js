@@ -0,0 +1,117 @@
+import express from "express";
+import { mapConcurrent } from "../lib/async.js";
+import { dispatch, isSubRequest } from "../lib/batch.js";
+import { sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe } from "../lib/openapi.js";
+import { REQUEST_ID_HEADER } from "../lib/requestContext.js";
+import { ValidationError, validate } from "../lib/validation.js";
+
+export const MAX_BATCH_REQUESTS = 20;
+
+// Sub-requests in flight per batch
+const BATCH_CONCURRENCY = 6;
+
+const NESTED_BATCH = "must be an /api/ route other than /api/batch";
+
+// A path as the router matches it: without query or fragment, lower-cased,
+// without trailing slashes ("/api/Batch/?x=1" is /api/batch)
+function routedPath(path) {
+  return path.split(/[?#]/)[0].toLowerCase().replace(/\/+$/, "");
+}
+
+const schemas = {
+  batch: {
+    body: {
+      requests: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_BATCH_REQUESTS,
+        required: true,
+        items: {
+          type: "object",
+          fields: {
+            id: { type: "string", maxLength: 100 },
+            method: { type: "enum", values: ["GET", "POST"], default: "GET" },
+            path: { type: "string", required: true, maxLength: 2000 },
+            body: { type: "object" }
+          }
+        }
+      }
+    },
+    check: ({ body }) => (body.requests || []).flatMap((request, index) =>
+      !request.path.startsWith("/api/") || routedPath(request.path) === "/api/batch"
+        ? [{ in: "body", field: "requests", message: `item ${index} path ${NESTED_BATCH}` }]
+        : []
+    ),
+    example: {
+      requests: [
+        { id: "recipe", path: "/api/recipe/716429?view=full" },
+        { id: "taste", path: "/api/recipe/716429/taste" },
+        { id: "similar", path: "/api/recipe/716429/similar?view=card" }
+      ]
+    }
+  }
+};
+
+// Several wrapper calls in one round-trip. Mount after the routes it serves.
+export function batchRoutes(app) {
+  const router = express.Router();
+
+  // Run sub-requests concurrently through the app with the caller's headers
+  // (client key, admin credentials); each one answers on its own
+  router.post("/api/batch", describe({
+    summary: "Run several wrapper requests in one round-trip",
+    description: "Each sub-request goes through the same client key checks, rate limits, validation and cache as " +
+      "a direct call and counts as one. The batch answers 200 with every sub-request's status and body in order.",
+    response: {
+      type: "object",
+      properties: {
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              id: { type: "string" },
+              status: { type: "integer" },
+              retryAfter: { type: "integer" },
+              body: {}
+            },
+            required: ["status", "body"]
+          }
+        },
+        timestamp: { type: "string", format: "date-time" }
+      }
+    }
+  }), (req, res, next) => {
+    // Whatever spelling got a sub-request here, batches don't nest
+    if (!isSubRequest(req)) return next();
+    sendError(res, new ValidationError([{ in: "body", field: "requests", message: `path ${NESTED_BATCH}` }]), "Invalid batch");
+  }, validate(schemas.batch), async (req, res) => {
+    const results = await mapConcurrent(req.valid.body.requests, BATCH_CONCURRENCY, async ({ id, method, path, body }, index) => {
+      try {
+        // Sub-requests log under the batch's request ID plus their position
+        const headers = { ...req.headers, [REQUEST_ID_HEADER.toLowerCase()]: `${req.id}.${index}` };
+        const response = await dispatch(app, { method, url: path, headers, body });
+        const retryAfter = response.headers["retry-after"];
+        return {
+          ...(id !== undefined && { id }),
+          status: response.status,
+          ...(retryAfter !== undefined && { retryAfter: Number(retryAfter) }),
+          body: response.body
+        };
+      } catch (err) {
+        logger.error("Error in batch request", { method, path, error: err });
+        return {
+          ...(id !== undefined && { id }),
+          status: 500,
+          body: { error: "Batch request failed", code: "INTERNAL_ERROR", details: err.message }
+        };
+      }
+    });
+
+    res.json({ results, timestamp: new Date().toISOString() });
+  });
+
+  return router;
+}
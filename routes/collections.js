@@ -0,0 +1,291 @@
+import express from "express";
+import { ConflictError, NotFoundError, sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe, ref } from "../lib/openapi.js";
+import { RECIPE_VIEWS, RECIPE_VIEW_QUERY, checkRecipeView, recipeProjection, recipesInView } from "../lib/recipeViews.js";
+import { USER_HEADER, isOwnedBy, ownerOf } from "../lib/users.js";
+import { validate } from "../lib/validation.js";
+
+export const MAX_COLLECTIONS = 100;
+export const MAX_COLLECTION_RECIPES = 100;
+
+const collectionId = { id: { type: "string", required: true, maxLength: 100 } };
+const recipeIds = { type: "array", maxItems: MAX_COLLECTION_RECIPES, items: { type: "integer", min: 1 } };
+
+const schemas = {
+  list: { headers: USER_HEADER },
+  create: {
+    headers: USER_HEADER,
+    body: {
+      name: { type: "string", required: true, maxLength: 100 },
+      recipeIds: { ...recipeIds, default: [] }
+    },
+    example: { name: "Favorites", recipeIds: [716429] }
+  },
+  collection: { headers: USER_HEADER, params: collectionId },
+  update: {
+    headers: USER_HEADER,
+    params: collectionId,
+    body: {
+      name: { type: "string", maxLength: 100 },
+      recipeIds
+    },
+    check: ({ body }) => body.name === undefined && body.recipeIds === undefined
+      ? [{ in: "body", field: "name", message: "name or recipeIds is required" }]
+      : [],
+    example: { name: "Weeknight dinners", recipeIds: [716429, 715538] }
+  },
+  addRecipes: {
+    headers: USER_HEADER,
+    params: collectionId,
+    body: { recipeIds: { ...recipeIds, minItems: 1, required: true } },
+    example: { recipeIds: [715538] }
+  },
+  removeRecipe: {
+    headers: USER_HEADER,
+    params: { ...collectionId, recipeId: { type: "integer", min: 1, required: true } }
+  },
+  recipes: {
+    headers: USER_HEADER,
+    params: collectionId,
+    query: RECIPE_VIEW_QUERY,
+    check: checkRecipeView,
+    example: "/api/collections/<id>/recipes?view=full"
+  }
+};
+
+const collectionSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    recipeIds: { type: "array", items: { type: "integer" } },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" }
+  }
+};
+
+// Named recipe collections (favorites, ...) per user (see lib/users.js)
+export function collectionRoutes({ spoonacular, collections }) {
+  const router = express.Router();
+  const { fetchRecipesBulk } = spoonacular;
+
+  async function listFor(owner) {
+    return (await collections.list()).filter(record => isOwnedBy(record, owner));
+  }
+
+  // The caller's collection, or undefined (also for other users' collections)
+  async function findFor(req) {
+    const record = await collections.get(req.valid.params.id);
+    return record && isOwnedBy(record, ownerOf(req)) ? record : undefined;
+  }
+
+  function notFound(res) {
+    sendError(res, new NotFoundError("No collection with this ID for this user"), "Collection not found");
+  }
+
+  // Names are unique per user, ignoring case
+  async function nameTaken(owner, name, exceptId) {
+    return (await listFor(owner)).some(record => record.id !== exceptId && record.name.toLowerCase() === name.toLowerCase());
+  }
+
+  function nameConflict(name) {
+    return new ConflictError("COLLECTION_EXISTS", `A collection named "${name}" already exists`);
+  }
+
+  function present({ client, userId, ...collection }) {
+    return collection;
+  }
+
+  function unique(ids) {
+    return [...new Set(ids)];
+  }
+
+  // List the user's collections
+  router.get("/api/collections", describe({ summary: "List the user's recipe collections" }), validate(schemas.list), async (req, res) => {
+    try {
+      const records = await listFor(ownerOf(req));
+      res.json({
+        results: records.map(record => ({
+          id: record.id,
+          name: record.name,
+          recipeCount: record.recipeIds.length,
+          createdAt: record.createdAt,
+          updatedAt: record.updatedAt
+        }))
+      });
+    } catch (err) {
+      logger.error("Error listing collections", { error: err });
+      sendError(res, err, "Failed to list collections");
+    }
+  });
+
+  // Create a collection
+  router.post("/api/collections", describe({
+    summary: "Create a recipe collection",
+    status: 201,
+    response: collectionSchema
+  }), validate(schemas.create), async (req, res) => {
+    const owner = ownerOf(req);
+    const { name, recipeIds: ids } = req.valid.body;
+
+    try {
+      const existing = await listFor(owner);
+      if (existing.length >= MAX_COLLECTIONS) {
+        return sendError(res, new ConflictError("COLLECTION_LIMIT", `At most ${MAX_COLLECTIONS} collections per user`), "Too many collections");
+      }
+      if (await nameTaken(owner, name)) return sendError(res, nameConflict(name), "Collection already exists");
+
+      const record = await collections.create({ ...owner, name, recipeIds: unique(ids) });
+      res.status(201).json(present(record));
+    } catch (err) {
+      logger.error("Error creating collection", { error: err });
+      sendError(res, err, "Failed to create collection");
+    }
+  });
+
+  // Get a collection with its recipe IDs
+  router.get("/api/collections/:id", describe({
+    summary: "Get a recipe collection",
+    response: collectionSchema
+  }), validate(schemas.collection), async (req, res) => {
+    try {
+      const record = await findFor(req);
+      if (!record) return notFound(res);
+      res.json(present(record));
+    } catch (err) {
+      logger.error("Error fetching collection", { error: err });
+      sendError(res, err, "Failed to fetch collection");
+    }
+  });
+
+  // Rename a collection and/or replace its recipes
+  router.put("/api/collections/:id", describe({
+    summary: "Rename a collection or replace its recipes",
+    response: collectionSchema
+  }), validate(schemas.update), async (req, res) => {
+    const { name, recipeIds: ids } = req.valid.body;
+
+    try {
+      const record = await findFor(req);
+      if (!record) return notFound(res);
+
+      const updated = await collections.update(record.id, async current => {
+        if (name !== undefined && await nameTaken(ownerOf(req), name, current.id)) throw nameConflict(name);
+        return {
+          ...current,
+          ...(name !== undefined && { name }),
+          ...(ids !== undefined && { recipeIds: unique(ids) })
+        };
+      });
+      if (!updated) return notFound(res);
+      res.json(present(updated));
+    } catch (err) {
+      if (err instanceof ConflictError) return sendError(res, err, "Collection already exists");
+      logger.error("Error updating collection", { error: err });
+      sendError(res, err, "Failed to update collection");
+    }
+  });
+
+  // Delete a collection
+  router.delete("/api/collections/:id", describe({ summary: "Delete a recipe collection" }), validate(schemas.collection), async (req, res) => {
+    try {
+      const record = await findFor(req);
+      if (!record) return notFound(res);
+      await collections.delete(record.id);
+      res.json({ message: "Collection deleted" });
+    } catch (err) {
+      logger.error("Error deleting collection", { error: err });
+      sendError(res, err, "Failed to delete collection");
+    }
+  });
+
+  // Add recipes to a collection; ones already in it are skipped
+  router.post("/api/collections/:id/recipes", describe({
+    summary: "Add recipes to a collection",
+    response: collectionSchema
+  }), validate(schemas.addRecipes), async (req, res) => {
+    try {
+      const record = await findFor(req);
+      if (!record) return notFound(res);
+
+      const updated = await collections.update(record.id, current => {
+        const ids = unique([...current.recipeIds, ...req.valid.body.recipeIds]);
+        if (ids.length > MAX_COLLECTION_RECIPES) {
+          throw new ConflictError("COLLECTION_FULL", `At most ${MAX_COLLECTION_RECIPES} recipes per collection`);
+        }
+        return { ...current, recipeIds: ids };
+      });
+      if (!updated) return notFound(res);
+      res.json(present(updated));
+    } catch (err) {
+      if (err instanceof ConflictError) return sendError(res, err, "Collection is full");
+      logger.error("Error adding recipes to collection", { error: err });
+      sendError(res, err, "Failed to add recipes to collection");
+    }
+  });
+
+  // Remove one recipe from a collection
+  router.delete("/api/collections/:id/recipes/:recipeId", describe({
+    summary: "Remove a recipe from a collection",
+    response: collectionSchema
+  }), validate(schemas.removeRecipe), async (req, res) => {
+    try {
+      const record = await findFor(req);
+      if (!record) return notFound(res);
+
+      const { recipeId } = req.valid.params;
+      const updated = await collections.update(record.id, current => ({ ...current, recipeIds: current.recipeIds.filter(id => id !== recipeId) }));
+      if (!updated) return notFound(res);
+      res.json(present(updated));
+    } catch (err) {
+      logger.error("Error removing recipe from collection", { error: err });
+      sendError(res, err, "Failed to remove recipe from collection");
+    }
+  });
+
+  // The collection's recipes as recipe cards (or another view), in collection
+  // order, through the cached informationBulk fetch
+  router.get("/api/collections/:id/recipes", describe({
+    summary: "Get a collection's recipes",
+    upstream: "GET /recipes/informationBulk",
+    description: "Recipes in our recipe schema, `view=card` unless `view` or `fields` says otherwise. " +
+      "IDs Spoonacular doesn't know are listed in `missing`.",
+    response: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        name: { type: "string" },
+        schemaVersion: { type: "integer" },
+        results: { type: "array", items: ref("RecipeView") },
+        missing: { type: "array", items: { type: "integer" } }
+      }
+    }
+  }), validate(schemas.recipes), async (req, res) => {
+    try {
+      const record = await findFor(req);
+      if (!record) return notFound(res);
+
+      const projection = recipeProjection(req.valid.query) || RECIPE_VIEWS.card;
+      const bulk = record.recipeIds.length > 0
+        ? await fetchRecipesBulk(record.recipeIds)
+        : { results: [], fromCache: true, timestamp: new Date().toISOString() };
+      const byId = new Map((bulk.results || []).map(recipe => [recipe.id, recipe]));
+
+      res.json({
+        id: record.id,
+        name: record.name,
+        ...recipesInView({
+          ...bulk,
+          results: record.recipeIds.filter(id => byId.has(id)).map(id => byId.get(id))
+        }, projection),
+        missing: record.recipeIds.filter(id => !byId.has(id))
+      });
+    } catch (err) {
+      logger.error("Error fetching collection recipes", { error: err });
+      sendError(res, err, "Failed to fetch collection recipes");
+    }
+  });
+
+  return router;
+}
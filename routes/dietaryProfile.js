@@ -0,0 +1,95 @@
+import express from "express";
+import { PROFILE_FIELDS, profileCriteria } from "../lib/dietaryProfile.js";
+import { NotFoundError, sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe } from "../lib/openapi.js";
+import { USER_HEADER, isOwnedBy, ownerOf } from "../lib/users.js";
+import { validate } from "../lib/validation.js";
+
+const schemas = {
+  profile: { headers: USER_HEADER },
+  replace: {
+    headers: USER_HEADER,
+    body: PROFILE_FIELDS,
+    check: ({ body }) => Object.keys(body).length === 0
+      ? [{ in: "body", field: "diet", message: `at least one of ${Object.keys(PROFILE_FIELDS).join(", ")} is required` }]
+      : [],
+    example: { diet: "vegetarian", intolerances: "peanut,tree nut", excludeIngredients: "mushrooms", maxCalories: 700 }
+  }
+};
+
+const profileSchema = {
+  type: "object",
+  properties: {
+    diet: { type: "string", description: "Comma separated; every diet must be met" },
+    intolerances: { type: "string", description: "Comma separated" },
+    excludeIngredients: { type: "string", description: "Comma separated" },
+    maxCalories: { type: "integer", description: "Per serving" },
+    updatedAt: { type: "string", format: "date-time" }
+  }
+};
+
+// Users' dietary profiles, applied by the recipe search routes and ingredient
+// autocomplete (users: see lib/users.js)
+export function dietaryProfileRoutes({ dietaryProfiles }) {
+  const router = express.Router();
+
+  async function findFor(owner) {
+    return (await dietaryProfiles.list()).find(record => isOwnedBy(record, owner));
+  }
+
+  function present(record) {
+    return { ...profileCriteria(record), updatedAt: record.updatedAt };
+  }
+
+  function notFound(res) {
+    sendError(res, new NotFoundError("This user has no dietary profile"), "Dietary profile not found");
+  }
+
+  // Get the user's profile
+  router.get("/api/dietaryProfile", describe({
+    summary: "Get the user's dietary profile",
+    response: profileSchema
+  }), validate(schemas.profile), async (req, res) => {
+    try {
+      const record = await findFor(ownerOf(req));
+      if (!record) return notFound(res);
+      res.json(present(record));
+    } catch (err) {
+      logger.error("Error fetching dietary profile", { error: err });
+      sendError(res, err, "Failed to fetch dietary profile");
+    }
+  });
+
+  // Set the user's profile; fields left out are cleared
+  router.put("/api/dietaryProfile", describe({
+    summary: "Set the user's dietary profile",
+    response: profileSchema
+  }), validate(schemas.replace), async (req, res) => {
+    const owner = ownerOf(req);
+
+    try {
+      // One step, so concurrent first PUTs don't create two profiles
+      const saved = await dietaryProfiles.upsert(record => isOwnedBy(record, owner), () => ({ ...owner, ...req.valid.body }));
+      res.json(present(saved));
+    } catch (err) {
+      logger.error("Error saving dietary profile", { error: err });
+      sendError(res, err, "Failed to save dietary profile");
+    }
+  });
+
+  // Delete the user's profile; searches are no longer filtered
+  router.delete("/api/dietaryProfile", describe({ summary: "Delete the user's dietary profile" }), validate(schemas.profile), async (req, res) => {
+    try {
+      const record = await findFor(ownerOf(req));
+      if (!record) return notFound(res);
+      await dietaryProfiles.delete(record.id);
+      res.json({ message: "Dietary profile deleted" });
+    } catch (err) {
+      logger.error("Error deleting dietary profile", { error: err });
+      sendError(res, err, "Failed to delete dietary profile");
+    }
+  });
+
+  return router;
+}
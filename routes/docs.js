@@ -0,0 +1,29 @@
+import express from "express";
+import { readFileSync } from "fs";
+import { buildOpenApiDocument, describe, docsPage } from "../lib/openapi.js";
+
+const { version } = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+const TITLE = "Spoonacular API wrapper";
+
+// OpenAPI document and interactive docs for every route mounted on `app`.
+// Mount last: the document is built from the app's routes on first request.
+export function docsRoutes(app, { publicPaths, adminPaths }) {
+  const router = express.Router();
+  let document;
+
+  router.get("/api/openapi.json", describe({ summary: "OpenAPI document for this API" }), (req, res) => {
+    document = document || buildOpenApiDocument(app, { title: TITLE, version, publicPaths, adminPaths });
+    res.json(document);
+  });
+
+  router.get("/api/docs", describe({
+    summary: "Interactive API docs",
+    contentType: "text/html",
+    response: { type: "string" }
+  }), (req, res) => {
+    res.type("html").send(docsPage("/api/openapi.json", TITLE));
+  });
+
+  return router;
+}
@@ -0,0 +1,274 @@
+import express from "express";
+import { createProfileLookup, ingredientViolations, mergeList, profileCriteria } from "../lib/dietaryProfile.js";
+import { sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe, ref, resultsOf } from "../lib/openapi.js";
+import { INTOLERANCES } from "../lib/searchOptions.js";
+import { OPTIONAL_USER_HEADER, ownerOf } from "../lib/users.js";
+import { validate } from "../lib/validation.js";
+
+const ingredientId = { type: "integer", min: 1, required: true };
+
+// Request schemas, one per route (see lib/validation.js)
+const schemas = {
+  autocomplete: {
+    // Applies the dietary profile of this user, if any
+    headers: OPTIONAL_USER_HEADER,
+    query: {
+      query: { type: "string", required: true, maxLength: 100 },
+      number: { type: "integer", min: 1, max: 100, default: 10 },
+      intolerances: { type: "enum", values: INTOLERANCES, list: true }
+    },
+    example: "/api/ingredients/autocomplete?query=appl&number=5"
+  },
+  search: {
+    query: {
+      query: { type: "string", required: true, maxLength: 100 },
+      number: { type: "integer", min: 1, max: 100, default: 10 },
+      intolerances: { type: "enum", values: INTOLERANCES, list: true },
+      sort: { type: "enum", values: ["calories", "protein", "fat", "carbs", "cost", "random"] },
+      sortDirection: { type: "enum", values: ["asc", "desc"] }
+    },
+    example: "/api/ingredients/search?query=banana&sort=calories&sortDirection=desc"
+  },
+  information: {
+    params: { id: ingredientId },
+    query: {
+      amount: { type: "number", min: 0, default: 1 },
+      unit: { type: "string", maxLength: 50, default: "serving" },
+      locale: { type: "enum", values: ["en_US", "en_AU"], default: "en_US" }
+    },
+    example: "/api/ingredients/9266/information?amount=150&unit=grams"
+  },
+  amount: {
+    params: { id: ingredientId },
+    query: {
+      nutrient: { type: "string", required: true, maxLength: 50 },
+      target: { type: "number", min: 0, required: true },
+      unit: { type: "string", maxLength: 50 }
+    },
+    example: "/api/ingredients/9266/amount?nutrient=protein&target=2&unit=oz"
+  },
+  convert: {
+    query: {
+      ingredientName: { type: "string", required: true, maxLength: 100 },
+      sourceAmount: { type: "number", min: 0, required: true },
+      sourceUnit: { type: "string", required: true, maxLength: 50 },
+      targetUnit: { type: "string", required: true, maxLength: 50 }
+    },
+    example: "/api/ingredients/convert?ingredientName=flour&sourceAmount=2.5&sourceUnit=cups&targetUnit=grams"
+  },
+  parse: {
+    body: {
+      ingredientList: { type: "text", required: true },
+      servings: { type: "integer", min: 1, max: 100, default: 1 }
+    },
+    example: { ingredientList: ["3 oz pork shoulder", "1 cup flour"], servings: 2 }
+  },
+  glycemicLoad: {
+    body: { ingredientList: { type: "text", required: true } },
+    example: { ingredientList: ["1 kiwi", "2 cups rice", "2 glasses of water"] }
+  },
+  substitutes: {
+    query: { ingredientName: { type: "string", required: true, maxLength: 100 } },
+    example: "/api/ingredients/substitutes?ingredientName=butter"
+  },
+  substitutesById: {
+    params: { id: ingredientId },
+    example: "/api/ingredients/1001/substitutes"
+  }
+};
+
+// Ingredient search, information, conversion and substitute endpoints
+export function ingredientRoutes({ spoonacular, dietaryProfiles }) {
+  const router = express.Router();
+  const { fetchCached, postForm, convertAmount } = spoonacular;
+  const profileFor = createProfileLookup(dietaryProfiles);
+
+  // Autocomplete ingredient search
+  router.get("/api/ingredients/autocomplete", describe({
+    summary: "Autocomplete ingredient names",
+    upstream: "GET /food/ingredients/autocomplete",
+    response: resultsOf(ref("Ingredient"))
+  }), validate(schemas.autocomplete), async (req, res) => {
+    const { query, number, intolerances } = req.valid.query;
+
+    try {
+      const profile = await profileFor(ownerOf(req));
+      const result = await fetchCached("ingredient_autocomplete", "/food/ingredients/autocomplete", {
+        query: query.toLowerCase(),
+        number,
+        intolerances: mergeList(intolerances, profile?.intolerances)
+      });
+      if (!profile) return res.json(result);
+
+      // Spoonacular's intolerance filter misses some names; drop those and
+      // excluded ingredients here
+      const removed = [];
+      const results = (result.results || []).filter(ingredient => {
+        const violations = ingredientViolations(ingredient.name, profile);
+        if (violations.length > 0) removed.push({ name: ingredient.name, violations });
+        return violations.length === 0;
+      });
+      res.json({ ...result, results, dietaryProfile: { ...profileCriteria(profile), removed } });
+    } catch (err) {
+      logger.error("Error during ingredient autocomplete", { error: err });
+      sendError(res, err, "Failed to autocomplete ingredients");
+    }
+  });
+
+  // Search ingredients
+  router.get("/api/ingredients/search", describe({
+    summary: "Search ingredients",
+    upstream: "GET /food/ingredients/search"
+  }), validate(schemas.search), async (req, res) => {
+    const { query, number, intolerances, sort, sortDirection } = req.valid.query;
+
+    try {
+      const result = await fetchCached("ingredient_search", "/food/ingredients/search", {
+        query: query.toLowerCase(),
+        number,
+        intolerances,
+        sort,
+        sortDirection
+      });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error searching ingredients", { error: err });
+      sendError(res, err, "Failed to search ingredients");
+    }
+  });
+
+  // Get ingredient information
+  router.get("/api/ingredients/:id/information", describe({
+    summary: "Get ingredient information",
+    upstream: "GET /food/ingredients/{id}/information",
+    response: ref("Ingredient")
+  }), validate(schemas.information), async (req, res) => {
+    const { id } = req.valid.params;
+    const { amount, unit, locale } = req.valid.query;
+
+    try {
+      const result = await fetchCached(`ingredient_${id}`, `/food/ingredients/${id}/information`, { amount, unit, locale });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error fetching ingredient info", { error: err });
+      sendError(res, err, "Failed to fetch ingredient information");
+    }
+  });
+
+  // Compute ingredient amount
+  router.get("/api/ingredients/:id/amount", describe({
+    summary: "Compute the amount of an ingredient for a nutrient target",
+    upstream: "GET /food/ingredients/{id}/amount"
+  }), validate(schemas.amount), async (req, res) => {
+    const { id } = req.valid.params;
+    const { nutrient, target, unit } = req.valid.query;
+
+    try {
+      const result = await fetchCached(`ingredient_amount_${id}`, `/food/ingredients/${id}/amount`, { nutrient, target, unit });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error computing ingredient amount", { error: err });
+      sendError(res, err, "Failed to compute ingredient amount");
+    }
+  });
+
+  // Convert amounts
+  router.get("/api/ingredients/convert", describe({
+    summary: "Convert an ingredient amount between units",
+    upstream: "GET /recipes/convert",
+    response: {
+      type: "object",
+      properties: {
+        sourceAmount: { type: "number" },
+        sourceUnit: { type: "string" },
+        targetAmount: { type: "number" },
+        targetUnit: { type: "string" },
+        answer: { type: "string" }
+      }
+    }
+  }), validate(schemas.convert), async (req, res) => {
+    const { ingredientName, sourceAmount, sourceUnit, targetUnit } = req.valid.query;
+
+    try {
+      const result = await convertAmount(ingredientName, sourceAmount, sourceUnit, targetUnit);
+      res.json(result);
+    } catch (err) {
+      logger.error("Error converting amounts", { error: err });
+      sendError(res, err, "Failed to convert amounts");
+    }
+  });
+
+  // Parse ingredients
+  router.post("/api/ingredients/parse", describe({
+    summary: "Parse ingredient lines",
+    upstream: "POST /recipes/parseIngredients",
+    response: resultsOf(ref("Ingredient"))
+  }), validate(schemas.parse), async (req, res) => {
+    const { ingredientList, servings } = req.valid.body;
+
+    try {
+      const result = await postForm("/recipes/parseIngredients", {
+        ingredientList,
+        servings: String(servings)
+      });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error parsing ingredients", { error: err });
+      sendError(res, err, "Failed to parse ingredients");
+    }
+  });
+
+  // Compute glycemic load
+  router.post("/api/ingredients/glycemicLoad", describe({
+    summary: "Compute the glycemic load of ingredients",
+    upstream: "POST /food/ingredients/glycemicLoad"
+  }), validate(schemas.glycemicLoad), async (req, res) => {
+    try {
+      const result = await postForm("/food/ingredients/glycemicLoad", {
+        ingredientList: req.valid.body.ingredientList
+      });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error computing glycemic load", { error: err });
+      sendError(res, err, "Failed to compute glycemic load");
+    }
+  });
+
+  // Get ingredient substitutes
+  router.get("/api/ingredients/substitutes", describe({
+    summary: "Find substitutes for an ingredient by name",
+    upstream: "GET /food/ingredients/substitutes"
+  }), validate(schemas.substitutes), async (req, res) => {
+    const { ingredientName } = req.valid.query;
+
+    try {
+      const result = await fetchCached("substitutes", "/food/ingredients/substitutes", {
+        ingredientName: ingredientName.toLowerCase()
+      });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error fetching substitutes", { error: err });
+      sendError(res, err, "Failed to fetch ingredient substitutes");
+    }
+  });
+
+  // Get ingredient substitutes by ID
+  router.get("/api/ingredients/:id/substitutes", describe({
+    summary: "Find substitutes for an ingredient by ID",
+    upstream: "GET /food/ingredients/{id}/substitutes"
+  }), validate(schemas.substitutesById), async (req, res) => {
+    const { id } = req.valid.params;
+
+    try {
+      const result = await fetchCached(`substitutes_id_${id}`, `/food/ingredients/${id}/substitutes`);
+      res.json(result);
+    } catch (err) {
+      logger.error("Error fetching substitutes by ID", { error: err });
+      sendError(res, err, "Failed to fetch ingredient substitutes by ID");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,220 @@
+import express from "express";
+import { mapConcurrent } from "../lib/async.js";
+import { NotFoundError, sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe, ref } from "../lib/openapi.js";
+import {
+  MEAL_SLOTS,
+  NoMatchingRecipesError,
+  PLAN_FIELDS,
+  candidateSearchParams,
+  macrosFromNutritionWidget,
+  mealFromRecipe,
+  pickCandidate,
+  planCriteria,
+  withTotals
+} from "../lib/mealPlanner.js";
+import { RECIPE_FETCH_CONCURRENCY } from "../lib/spoonacular.js";
+import { OPTIONAL_USER_HEADER, isOwnedBy, ownerOf } from "../lib/users.js";
+import { validate } from "../lib/validation.js";
+
+const planId = { id: { type: "string", required: true, maxLength: 100 } };
+
+// Request schemas, one per route (see lib/validation.js)
+const schemas = {
+  list: { headers: OPTIONAL_USER_HEADER },
+  create: {
+    headers: OPTIONAL_USER_HEADER,
+    body: PLAN_FIELDS,
+    example: { timeFrame: "week", targetCalories: 2000, diet: "vegetarian", intolerances: "peanut", exclude: "olives" }
+  },
+  plan: { headers: OPTIONAL_USER_HEADER, params: planId },
+  swap: {
+    headers: OPTIONAL_USER_HEADER,
+    params: {
+      ...planId,
+      day: { type: "integer", required: true, min: 1, max: 7 },
+      slot: { type: "enum", required: true, values: MEAL_SLOTS.map(mealSlot => mealSlot.slot) }
+    },
+    body: { recipeId: { type: "integer", min: 1, description: "Recipe to use instead of a new match" } },
+    example: { recipeId: 715538 }
+  }
+};
+
+// Server-side meal plans, per client and, with X-User-Id, per user (see
+// lib/users.js); other callers' plans answer 404
+export function mealPlanRoutes({ spoonacular, mealPlans }) {
+  const router = express.Router();
+  const { fetchCached, fetchRecipeInformation, fetchRecipeNutrition } = spoonacular;
+
+  // Recipes for one meal slot of a plan, through the cache. Falls back to any
+  // calorie count when nothing matches the slot's calorie range.
+  async function fetchMealCandidates(criteria, slot) {
+    for (const withCalorieRange of [true, false]) {
+      const params = candidateSearchParams(criteria, slot, { withCalorieRange });
+      const result = await fetchCached("mealplan_candidates", "/recipes/complexSearch", params);
+      if (result.results && result.results.length > 0) return result.results;
+    }
+    return [];
+  }
+
+  // Per-serving macros of a recipe from its cached nutrition widget
+  async function fetchMealMacros(recipeId) {
+    return macrosFromNutritionWidget(await fetchRecipeNutrition(recipeId));
+  }
+
+  // Pick a recipe for every slot of every day, then look up their nutrition
+  async function buildPlanDays(criteria) {
+    const usedIds = new Set();
+    const picks = [];
+    for (let day = 1; day <= criteria.days; day++) {
+      for (const slot of MEAL_SLOTS) {
+        const recipe = pickCandidate(await fetchMealCandidates(criteria, slot), usedIds);
+        if (!recipe) throw new NoMatchingRecipesError(slot.slot);
+        usedIds.add(recipe.id);
+        picks.push({ day, slot: slot.slot, recipe });
+      }
+    }
+
+    const meals = await mapConcurrent(picks, RECIPE_FETCH_CONCURRENCY, async ({ day, slot, recipe }) => ({
+      day,
+      meal: mealFromRecipe(slot, recipe, await fetchMealMacros(recipe.id))
+    }));
+
+    const days = Array.from({ length: criteria.days }, (_, index) => ({
+      day: index + 1,
+      meals: meals.filter(entry => entry.day === index + 1).map(entry => entry.meal)
+    }));
+    return withTotals(days, criteria.targetCalories);
+  }
+
+  // The caller's plan, or undefined (also for other callers' plans)
+  async function findFor(req) {
+    const plan = await mealPlans.get(req.valid.params.id);
+    return plan && isOwnedBy(plan, ownerOf(req)) ? plan : undefined;
+  }
+
+  function present({ client, userId, ...plan }) {
+    return plan;
+  }
+
+  function planNotFound(res) {
+    sendError(res, new NotFoundError("No meal plan with this ID for this caller"), "Meal plan not found");
+  }
+
+  function planSummary(plan) {
+    return {
+      id: plan.id,
+      name: plan.name,
+      days: plan.days.length,
+      targetCalories: plan.criteria.targetCalories,
+      createdAt: plan.createdAt,
+      updatedAt: plan.updatedAt
+    };
+  }
+
+  // Generate and store a day or week plan
+  router.post("/api/mealPlans", describe({
+    summary: "Generate and store a day or week meal plan",
+    status: 201,
+    response: ref("MealPlan")
+  }), validate(schemas.create), async (req, res) => {
+    const { name, criteria } = planCriteria(req.valid.body);
+
+    try {
+      const days = await buildPlanDays(criteria);
+      const plan = await mealPlans.create({
+        ...ownerOf(req),
+        name: name || `${criteria.days}-day plan, ${criteria.targetCalories} kcal`,
+        criteria,
+        days
+      });
+      res.status(201).json(present(plan));
+    } catch (err) {
+      logger.error("Error generating meal plan", { error: err });
+      sendError(res, err, "Failed to generate meal plan");
+    }
+  });
+
+  // List stored meal plans
+  router.get("/api/mealPlans", describe({ summary: "List stored meal plans" }), validate(schemas.list), async (req, res) => {
+    const owner = ownerOf(req);
+
+    try {
+      const plans = (await mealPlans.list()).filter(plan => isOwnedBy(plan, owner));
+      res.json({ results: plans.map(planSummary) });
+    } catch (err) {
+      logger.error("Error listing meal plans", { error: err });
+      sendError(res, err, "Failed to list meal plans");
+    }
+  });
+
+  // Get a stored meal plan with its daily macro totals
+  router.get("/api/mealPlans/:id", describe({ summary: "Get a stored meal plan", response: ref("MealPlan") }), validate(schemas.plan), async (req, res) => {
+    try {
+      const plan = await findFor(req);
+      if (!plan) return planNotFound(res);
+      res.json(present(plan));
+    } catch (err) {
+      logger.error("Error fetching meal plan", { error: err });
+      sendError(res, err, "Failed to fetch meal plan");
+    }
+  });
+
+  // Swap one meal for another matching recipe (or the recipeId given in the body)
+  router.post("/api/mealPlans/:id/days/:day/meals/:slot/swap", describe({
+    summary: "Swap one meal of a plan",
+    response: ref("MealPlan")
+  }), validate(schemas.swap), async (req, res) => {
+    const { day: dayNumber, slot: slotName } = req.valid.params;
+    const { recipeId } = req.valid.body;
+    const slot = MEAL_SLOTS.find(mealSlot => mealSlot.slot === slotName);
+
+    try {
+      const plan = await findFor(req);
+      if (!plan) return planNotFound(res);
+
+      const day = plan.days.find(planDay => planDay.day === dayNumber);
+      if (!day) return sendError(res, new NotFoundError(`Day ${dayNumber} is not part of this plan`), "Meal plan day not found");
+
+      let recipe;
+      if (recipeId !== undefined) {
+        recipe = await fetchRecipeInformation(recipeId);
+      } else {
+        const usedIds = new Set(plan.days.flatMap(planDay => planDay.meals.map(meal => meal.recipeId)));
+        recipe = pickCandidate(await fetchMealCandidates(plan.criteria, slot), usedIds);
+        if (!recipe) throw new NoMatchingRecipesError(slot.slot);
+      }
+
+      // Swapped into the plan as it is now, keeping other swaps made meanwhile
+      const meal = mealFromRecipe(slot.slot, recipe, await fetchMealMacros(recipe.id));
+      const updated = await mealPlans.update(plan.id, current => {
+        const days = current.days.map(planDay => planDay.day !== dayNumber ? planDay : {
+          ...planDay,
+          meals: planDay.meals.map(planMeal => planMeal.slot === slot.slot ? meal : planMeal)
+        });
+        return { ...current, days: withTotals(days, current.criteria.targetCalories) };
+      });
+      if (!updated) return planNotFound(res);
+      res.json(present(updated));
+    } catch (err) {
+      logger.error("Error swapping meal", { error: err });
+      sendError(res, err, "Failed to swap meal");
+    }
+  });
+
+  // Delete a stored meal plan
+  router.delete("/api/mealPlans/:id", describe({ summary: "Delete a stored meal plan" }), validate(schemas.plan), async (req, res) => {
+    try {
+      const plan = await findFor(req);
+      if (!plan) return planNotFound(res);
+      await mealPlans.delete(plan.id);
+      res.json({ message: "Meal plan deleted" });
+    } catch (err) {
+      logger.error("Error deleting meal plan", { error: err });
+      sendError(res, err, "Failed to delete meal plan");
+    }
+  });
+
+  return router;
+}
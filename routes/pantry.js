@@ -0,0 +1,331 @@
+import express from "express";
+import { mapConcurrent } from "../lib/async.js";
+import { ConflictError, NotFoundError, sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe } from "../lib/openapi.js";
+import {
+  EXPIRING_SOON_DAYS,
+  MAX_PANTRY_ITEMS,
+  PANTRY_CANDIDATES,
+  estimateCost,
+  mergePantryItems,
+  pantryStatus,
+  pantrySubstitutes,
+  rankRecipes,
+  todayDate
+} from "../lib/pantry.js";
+import { USER_HEADER, isOwnedBy, ownerOf } from "../lib/users.js";
+import { validate } from "../lib/validation.js";
+
+// Substitute and price lookups in flight at once
+const LOOKUP_CONCURRENCY = 4;
+
+const pantryItem = {
+  type: "object",
+  fields: {
+    name: { type: "string", required: true, maxLength: 100, lowercase: true },
+    amount: { type: "number", min: 0 },
+    unit: { type: "string", maxLength: 30 },
+    expiresOn: { type: "date" }
+  }
+};
+const pantryItems = { type: "array", maxItems: MAX_PANTRY_ITEMS, items: pantryItem };
+const itemsExample = { items: [{ name: "spinach", amount: 200, unit: "g", expiresOn: "2025-01-10" }, { name: "eggs", amount: 6 }, { name: "garlic" }] };
+
+const schemas = {
+  pantry: { headers: USER_HEADER },
+  replace: {
+    headers: USER_HEADER,
+    body: { items: { ...pantryItems, required: true } },
+    example: itemsExample
+  },
+  add: {
+    headers: USER_HEADER,
+    body: { items: { ...pantryItems, minItems: 1, required: true } },
+    example: itemsExample
+  },
+  removeItem: {
+    headers: USER_HEADER,
+    params: { name: { type: "string", required: true, maxLength: 100, lowercase: true } }
+  },
+  recipes: {
+    headers: USER_HEADER,
+    query: {
+      number: { type: "integer", min: 1, max: 10, default: 5 },
+      expiringWithinDays: { type: "integer", min: 0, max: 30, default: EXPIRING_SOON_DAYS },
+      substitutes: { type: "boolean", default: true },
+      cost: { type: "boolean", default: true }
+    },
+    example: "/api/pantry/recipes?number=5&expiringWithinDays=2"
+  }
+};
+
+const pantryItemSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    amount: { type: "number" },
+    unit: { type: "string" },
+    expiresOn: { type: "string", format: "date" },
+    daysLeft: { type: "integer", nullable: true },
+    expiringSoon: { type: "boolean" }
+  }
+};
+
+const pantrySchema = {
+  type: "object",
+  properties: {
+    items: { type: "array", items: pantryItemSchema },
+    expired: { type: "array", items: pantryItemSchema },
+    updatedAt: { type: "string", format: "date-time", nullable: true }
+  }
+};
+
+const ingredientLineSchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer", nullable: true },
+    name: { type: "string" },
+    amount: { type: "number" },
+    unit: { type: "string" }
+  }
+};
+
+const suggestionSchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    title: { type: "string" },
+    image: { type: "string" },
+    likes: { type: "integer" },
+    score: { type: "number" },
+    pantryItemsUsed: { type: "integer" },
+    expiringItemsUsed: { type: "array", items: { type: "string" } },
+    usedIngredients: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          ...ingredientLineSchema.properties,
+          pantryItem: { type: "string", nullable: true },
+          expiresOn: { type: "string", format: "date", nullable: true },
+          expiringSoon: { type: "boolean" },
+          enough: { type: "boolean", nullable: true, description: "null when the pantry's unit differs from the recipe's" }
+        }
+      }
+    },
+    missingIngredients: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          ...ingredientLineSchema.properties,
+          reason: { type: "string", enum: ["missing", "short"] },
+          requiredAmount: { type: "number" },
+          pantryAmount: { type: "number" },
+          substitutes: { type: "array", items: { type: "string" } },
+          pantrySubstitutes: { type: "array", items: { type: "string" } }
+        }
+      }
+    },
+    estimatedCost: {
+      type: "object",
+      nullable: true,
+      properties: {
+        toBuyCents: { type: "number" },
+        recipeTotalCents: { type: "number", nullable: true },
+        unpriced: { type: "array", items: { type: "string" } }
+      }
+    }
+  }
+};
+
+// Spoonacular refusing one lookup (unknown ingredient or recipe) shouldn't
+// fail the whole answer; quota, timeout and server errors still do
+function isNotFound(err) {
+  return err.upstreamStatus === 400 || err.upstreamStatus === 404;
+}
+
+// Users' pantries (ingredients with optional amounts and expiry dates) and
+// recipe suggestions that use them (users: see lib/users.js)
+export function pantryRoutes({ spoonacular, pantries }) {
+  const router = express.Router();
+  const { fetchCached } = spoonacular;
+
+  async function findFor(owner) {
+    return (await pantries.list()).find(record => isOwnedBy(record, owner));
+  }
+
+  // Change the owner's items (creating the pantry on first use) in one step,
+  // so concurrent changes don't overwrite each other
+  function save(owner, change) {
+    return pantries.upsert(record => isOwnedBy(record, owner), async record => ({ ...record, ...owner, items: await change(record?.items || []) }));
+  }
+
+  function present(record) {
+    const { usable, expired } = pantryStatus(record?.items || [], todayDate());
+    return { items: usable, expired, updatedAt: record?.updatedAt ?? null };
+  }
+
+  // Substitutes for one ingredient, shared with /api/ingredients/substitutes
+  async function fetchSubstitutes(name) {
+    try {
+      const result = await fetchCached("substitutes", "/food/ingredients/substitutes", { ingredientName: name.toLowerCase() });
+      return { substitutes: result.substitutes || [], fromCache: result.fromCache };
+    } catch (err) {
+      if (!isNotFound(err)) throw err;
+      return { substitutes: [], fromCache: false };
+    }
+  }
+
+  // Price breakdown for one recipe, shared with /api/recipe/:id/price
+  async function fetchPriceBreakdown(id) {
+    try {
+      return await fetchCached(`price_${id}`, `/recipes/${id}/priceBreakdownWidget.json`);
+    } catch (err) {
+      if (!isNotFound(err)) throw err;
+      return null;
+    }
+  }
+
+  // The user's pantry, soonest-expiring first, with expired items apart
+  router.get("/api/pantry", describe({
+    summary: "Get the user's pantry",
+    response: pantrySchema
+  }), validate(schemas.pantry), async (req, res) => {
+    try {
+      res.json(present(await findFor(ownerOf(req))));
+    } catch (err) {
+      logger.error("Error fetching pantry", { error: err });
+      sendError(res, err, "Failed to fetch pantry");
+    }
+  });
+
+  // Replace the whole pantry
+  router.put("/api/pantry", describe({
+    summary: "Replace the user's pantry",
+    response: pantrySchema
+  }), validate(schemas.replace), async (req, res) => {
+    try {
+      res.json(present(await save(ownerOf(req), () => mergePantryItems([], req.valid.body.items))));
+    } catch (err) {
+      logger.error("Error replacing pantry", { error: err });
+      sendError(res, err, "Failed to replace pantry");
+    }
+  });
+
+  // Add items; an item replaces the pantry's item of the same name
+  router.post("/api/pantry/items", describe({
+    summary: "Add or update pantry items",
+    response: pantrySchema
+  }), validate(schemas.add), async (req, res) => {
+    try {
+      res.json(present(await save(ownerOf(req), items => {
+        const merged = mergePantryItems(items, req.valid.body.items);
+        if (merged.length > MAX_PANTRY_ITEMS) throw new ConflictError("PANTRY_FULL", `At most ${MAX_PANTRY_ITEMS} items per pantry`);
+        return merged;
+      })));
+    } catch (err) {
+      if (err instanceof ConflictError) return sendError(res, err, "Pantry is full");
+      logger.error("Error adding pantry items", { error: err });
+      sendError(res, err, "Failed to add pantry items");
+    }
+  });
+
+  // Remove one item by name
+  router.delete("/api/pantry/items/:name", describe({
+    summary: "Remove a pantry item",
+    response: pantrySchema
+  }), validate(schemas.removeItem), async (req, res) => {
+    const { name } = req.valid.params;
+
+    try {
+      res.json(present(await save(ownerOf(req), items => {
+        if (!items.some(item => item.name === name)) throw new NotFoundError(`No "${name}" in the pantry`);
+        return items.filter(item => item.name !== name);
+      })));
+    } catch (err) {
+      if (err instanceof NotFoundError) return sendError(res, err, "Pantry item not found");
+      logger.error("Error removing pantry item", { error: err });
+      sendError(res, err, "Failed to remove pantry item");
+    }
+  });
+
+  // What can I cook: findByIngredients with the pantry, re-ranked by how much
+  // of the pantry each recipe uses (expiring items first), with substitutes
+  // for what's missing and the estimated cost of buying it
+  router.get("/api/pantry/recipes", describe({
+    summary: "Suggest recipes that use the user's pantry",
+    upstream: "GET /recipes/findByIngredients",
+    description: "Ranks recipes by the pantry items they use, counting items expiring within `expiringWithinDays` extra " +
+      "and ingredients to buy against. Missing ingredients (or ones the pantry has too little of, compared in the same unit) " +
+      "come with suggestions from /food/ingredients/substitutes; `estimatedCost` prices them from " +
+      "/recipes/{id}/priceBreakdownWidget.json in US cents. Expired items are not used.",
+    response: {
+      type: "object",
+      properties: {
+        results: { type: "array", items: suggestionSchema },
+        expiringSoon: { type: "array", items: { type: "string" } },
+        expired: { type: "array", items: { type: "string" } },
+        fromCache: { type: "boolean" },
+        timestamp: { type: "string", format: "date-time" }
+      }
+    }
+  }), validate(schemas.recipes), async (req, res) => {
+    const { number, expiringWithinDays, substitutes, cost } = req.valid.query;
+
+    try {
+      const record = await findFor(ownerOf(req));
+      const { usable, expired } = pantryStatus(record?.items || [], todayDate(), expiringWithinDays);
+      if (usable.length === 0) {
+        const reason = expired.length > 0 ? "Every pantry item has expired" : "Add items with POST /api/pantry/items first";
+        return sendError(res, new ConflictError("PANTRY_EMPTY", reason), "Pantry is empty");
+      }
+
+      // Sorted names, as /api/searchRecipesByIngredients sorts them, so the
+      // candidates share a cache entry with its requests for the same
+      // ingredients with number=30&ignorePantry=true
+      const candidates = await fetchCached("ingredients", "/recipes/findByIngredients", {
+        ingredients: usable.map(item => item.name).sort().join(","),
+        number: PANTRY_CANDIDATES,
+        ranking: 1,
+        ignorePantry: true
+      });
+      const results = rankRecipes(candidates.results || [], usable).slice(0, number);
+      let fromCache = candidates.fromCache;
+
+      if (substitutes) {
+        const names = [...new Set(results.flatMap(recipe => recipe.missingIngredients.map(ingredient => ingredient.name.toLowerCase())))];
+        const found = await mapConcurrent(names, LOOKUP_CONCURRENCY, fetchSubstitutes);
+        const byName = new Map(names.map((name, index) => [name, found[index].substitutes]));
+        fromCache = fromCache && found.every(lookup => lookup.fromCache);
+
+        for (const ingredient of results.flatMap(recipe => recipe.missingIngredients)) {
+          ingredient.substitutes = byName.get(ingredient.name.toLowerCase());
+          ingredient.pantrySubstitutes = pantrySubstitutes(ingredient.substitutes, usable);
+        }
+      }
+
+      if (cost) {
+        const breakdowns = await mapConcurrent(results, LOOKUP_CONCURRENCY, recipe => fetchPriceBreakdown(recipe.id));
+        fromCache = fromCache && breakdowns.every(breakdown => breakdown?.fromCache !== false);
+        results.forEach((recipe, index) => {
+          recipe.estimatedCost = breakdowns[index] ? estimateCost(breakdowns[index], recipe.missingIngredients) : null;
+        });
+      }
+
+      res.json({
+        results,
+        expiringSoon: usable.filter(item => item.expiringSoon).map(item => item.name),
+        expired: expired.map(item => item.name),
+        fromCache,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      logger.error("Error suggesting pantry recipes", { error: err });
+      sendError(res, err, "Failed to suggest recipes from the pantry");
+    }
+  });
+
+  return router;
+}
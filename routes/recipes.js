@@ -0,0 +1,575 @@
+import express from "express";
+import { createProfileLookup, filterRecipesByProfile, mergeDiets, mergeList, mergeMaxCalories } from "../lib/dietaryProfile.js";
+import { sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe, ref, resultsOf } from "../lib/openapi.js";
+import { UNIT_SYSTEMS, scaleRecipe } from "../lib/recipeScaling.js";
+import {
+  RECIPE_SCHEMA_VERSION,
+  RECIPE_VIEW_QUERY,
+  checkRecipeView,
+  recipeInView,
+  recipeProjection,
+  recipesInView
+} from "../lib/recipeViews.js";
+import { COMPLEX_SEARCH_QUERY, buildComplexSearchParams, buildPagination } from "../lib/searchOptions.js";
+import { MAX_BULK_RECIPE_IDS } from "../lib/spoonacular.js";
+import { OPTIONAL_USER_HEADER, ownerOf } from "../lib/users.js";
+import { validate } from "../lib/validation.js";
+
+const recipeId = { type: "integer", min: 1, required: true };
+const nutrientBound = { type: "number", min: 0 };
+
+// searchRecipes parameters that aren't search criteria
+const NOT_CRITERIA = new Set(["number", "offset", ...Object.keys(RECIPE_VIEW_QUERY)]);
+
+// Request schemas, one per route (see lib/validation.js). Search routes apply
+// the dietary profile of the user named in X-User-Id, if any.
+const schemas = {
+  searchRecipes: {
+    headers: OPTIONAL_USER_HEADER,
+    query: { ...COMPLEX_SEARCH_QUERY, ...RECIPE_VIEW_QUERY },
+    check: ({ query }) => [
+      ...(Object.keys(query).every(key => NOT_CRITERIA.has(key))
+        ? [{ in: "query", field: "query", message: "query or at least one filter is required" }]
+        : []),
+      ...checkRecipeView({ query })
+    ],
+    example: "/api/searchRecipes?query=pasta&cuisine=italian&diet=vegetarian&number=12&offset=24&view=card"
+  },
+  searchRecipesByNutrients: {
+    headers: OPTIONAL_USER_HEADER,
+    query: {
+      minCarbs: nutrientBound,
+      maxCarbs: nutrientBound,
+      minProtein: nutrientBound,
+      maxProtein: nutrientBound,
+      minFat: nutrientBound,
+      maxFat: nutrientBound,
+      minCalories: nutrientBound,
+      maxCalories: nutrientBound,
+      number: { type: "integer", min: 1, max: 100, default: 12 }
+    },
+    example: "/api/searchRecipesByNutrients?minProtein=20&maxCalories=600"
+  },
+  searchRecipesByIngredients: {
+    headers: OPTIONAL_USER_HEADER,
+    query: {
+      ingredients: { type: "list", lowercase: true, sort: true, required: true },
+      number: { type: "integer", min: 1, max: 100, default: 12 },
+      ranking: { type: "integer", min: 1, max: 2, default: 1 },
+      ignorePantry: { type: "boolean", default: false }
+    },
+    example: "/api/searchRecipesByIngredients?ingredients=apples,flour,sugar"
+  },
+  recipe: { params: { id: recipeId }, example: "/api/recipe/716429" },
+  recipeInformation: {
+    params: { id: recipeId },
+    query: RECIPE_VIEW_QUERY,
+    check: checkRecipeView,
+    example: "/api/recipe/716429?fields=title,ingredients,macros"
+  },
+  scaled: {
+    params: { id: recipeId },
+    query: {
+      servings: { type: "number", min: 0.5, max: 100 },
+      units: { type: "enum", values: UNIT_SYSTEMS },
+      ...RECIPE_VIEW_QUERY
+    },
+    check: ({ query }) => [
+      ...(query.servings === undefined && query.units === undefined
+        ? [{ in: "query", field: "servings", message: "servings or units is required" }]
+        : []),
+      ...checkRecipeView({ query })
+    ],
+    example: "/api/recipe/716429/scaled?servings=7&units=metric"
+  },
+  bulk: {
+    query: RECIPE_VIEW_QUERY,
+    body: { ids: { type: "array", minItems: 1, maxItems: MAX_BULK_RECIPE_IDS, items: { type: "integer", min: 1 }, required: true } },
+    check: checkRecipeView,
+    example: { ids: [716429, 715538] }
+  },
+  similar: {
+    params: { id: recipeId },
+    query: { number: { type: "integer", min: 1, max: 100, default: 3 }, ...RECIPE_VIEW_QUERY },
+    check: checkRecipeView,
+    example: "/api/recipe/716429/similar?number=5&view=card"
+  },
+  random: {
+    headers: OPTIONAL_USER_HEADER,
+    query: {
+      number: { type: "integer", min: 1, max: 100, default: 3 },
+      tags: { type: "list", lowercase: true },
+      include_tags: { type: "list", lowercase: true },
+      exclude_tags: { type: "list", lowercase: true },
+      ...RECIPE_VIEW_QUERY
+    },
+    check: checkRecipeView,
+    example: "/api/recipes/random?number=5&include_tags=vegetarian,dessert&view=full"
+  },
+  autocomplete: {
+    query: {
+      query: { type: "string", required: true, maxLength: 100 },
+      number: { type: "integer", min: 1, max: 25, default: 10 }
+    },
+    example: "/api/recipes/autocomplete?query=chick"
+  },
+  extract: {
+    body: { url: { type: "url", required: true } },
+    example: { url: "https://foodista.com/recipe/ZHK4KPB6/chocolate-crinkle-cookies" }
+  },
+  analyze: {
+    body: {
+      title: { type: "string", required: true },
+      servings: { type: "integer", min: 1, max: 100, required: true },
+      ingredients: { type: "text", required: true },
+      instructions: { type: "text", required: true }
+    },
+    example: { title: "Spaghetti Carbonara", servings: 2, ingredients: ["500g spaghetti", "4 eggs"], instructions: "Cook the pasta..." }
+  },
+  analyzeInstructions: {
+    body: { instructions: { type: "text", required: true } },
+    example: { instructions: "Put the garlic in a pan and then add the onion." }
+  },
+  classifyCuisine: {
+    body: {
+      title: { type: "string" },
+      ingredientList: { type: "text" }
+    },
+    check: ({ body }) => body.title || body.ingredientList
+      ? []
+      : [{ in: "body", field: "title", message: "title or ingredientList is required" }],
+    example: { title: "Pork roast with green beans", ingredientList: "3 oz pork shoulder" }
+  },
+  analyzeQuery: {
+    query: { q: { type: "string", required: true } },
+    example: "/api/recipes/analyzeQuery?q=salmon with fusilli and no nuts"
+  },
+  guessNutrition: {
+    query: { title: { type: "string", required: true } },
+    example: "/api/recipes/guessNutrition?title=Spaghetti Aglio et Olio"
+  }
+};
+
+// Responses in our recipe schema (?view= or ?fields=, see lib/recipeViews.js)
+const recipeViewSchema = {
+  allOf: [
+    { type: "object", properties: { schemaVersion: { type: "integer", enum: [RECIPE_SCHEMA_VERSION] } }, required: ["schemaVersion"] },
+    ref("RecipeView")
+  ]
+};
+
+function recipeViewResults(properties = {}) {
+  return {
+    type: "object",
+    properties: {
+      ...properties,
+      schemaVersion: { type: "integer", enum: [RECIPE_SCHEMA_VERSION] },
+      results: { type: "array", items: ref("RecipeView") }
+    },
+    required: ["schemaVersion", "results"]
+  };
+}
+
+const searchResults = {
+  type: "object",
+  properties: {
+    results: { type: "array", items: ref("RecipeSummary") },
+    offset: { type: "integer" },
+    number: { type: "integer" },
+    totalResults: { type: "integer" },
+    pagination: ref("Pagination")
+  }
+};
+
+// Recipe search, information and analysis endpoints
+export function recipeRoutes({ spoonacular, dietaryProfiles }) {
+  const router = express.Router();
+  const {
+    fetchCached,
+    postForm,
+    fetchRecipeInformation,
+    fetchRecipesBulk,
+    fetchRecipeNutrition,
+    convertLinear
+  } = spoonacular;
+  const profileFor = createProfileLookup(dietaryProfiles);
+
+  // The dietary profile of the user named in X-User-Id, or null
+  function callerProfile(req) {
+    return profileFor(ownerOf(req));
+  }
+
+  // GET routes that fetch one cached widget of a recipe by ID
+  function recipeWidgetRoute(path, { summary, cacheKeyPrefix, upstreamPath, errorMessage }) {
+    const doc = { summary, upstream: `GET /recipes/{id}/${upstreamPath}` };
+    router.get(path, describe(doc), validate(schemas.recipe), async (req, res) => {
+      const { id } = req.valid.params;
+
+      try {
+        const result = await fetchCached(`${cacheKeyPrefix}_${id}`, `/recipes/${id}/${upstreamPath}`);
+        res.json(result);
+      } catch (err) {
+        logger.error(errorMessage, { error: err });
+        sendError(res, err, errorMessage);
+      }
+    });
+  }
+
+  // Search recipes endpoint with caching, filters and pagination
+  router.get("/api/searchRecipes", describe({
+    summary: "Search recipes with filters and pagination",
+    upstream: "GET /recipes/complexSearch",
+    response: { oneOf: [searchResults, recipeViewResults(searchResults.properties)] }
+  }), validate(schemas.searchRecipes), async (req, res) => {
+    const { view, fields } = req.valid.query;
+    const params = buildComplexSearchParams(req.valid.query);
+
+    // Page links keep the requested format
+    const linkParams = new URLSearchParams(params);
+    if (view) linkParams.set("view", view);
+    if (fields) linkParams.set("fields", fields);
+
+    try {
+      // With a profile, results carry what it's checked against (ingredients,
+      // and calories when capped) so the bulk lookup is only a fallback
+      const profile = await callerProfile(req);
+      const result = await fetchCached("search", "/recipes/complexSearch", {
+        ...Object.fromEntries(params),
+        ...(profile && {
+          diet: mergeDiets(params.get("diet") ?? undefined, profile.diet),
+          intolerances: mergeList(params.get("intolerances"), profile.intolerances),
+          excludeIngredients: mergeList(params.get("excludeIngredients"), profile.excludeIngredients),
+          maxCalories: profile.maxCalories,
+          fillIngredients: true,
+          addRecipeNutrition: profile.maxCalories !== undefined ? true : undefined
+        }),
+        addRecipeInformation: true
+      });
+      res.json(recipesInView({
+        ...await filterRecipesByProfile(result, profile, fetchRecipesBulk),
+        pagination: buildPagination(result, linkParams, `${req.baseUrl}${req.path}`)
+      }, recipeProjection(req.valid.query)));
+    } catch (err) {
+      logger.error("Error searching recipes", { error: err });
+      sendError(res, err, "Failed to search recipes");
+    }
+  });
+
+  // Search recipes by nutrients
+  router.get("/api/searchRecipesByNutrients", describe({
+    summary: "Find recipes within nutrient bounds",
+    upstream: "GET /recipes/findByNutrients",
+    response: resultsOf(ref("RecipeSummary"))
+  }), validate(schemas.searchRecipesByNutrients), async (req, res) => {
+    const { number, ...bounds } = req.valid.query;
+
+    try {
+      const profile = await callerProfile(req);
+      const result = await fetchCached("nutrients", "/recipes/findByNutrients", {
+        number,
+        ...bounds,
+        maxCalories: mergeMaxCalories(bounds.maxCalories, profile?.maxCalories)
+      });
+      res.json(await filterRecipesByProfile(result, profile, fetchRecipesBulk));
+    } catch (err) {
+      logger.error("Error searching recipes by nutrients", { error: err });
+      sendError(res, err, "Failed to search recipes by nutrients");
+    }
+  });
+
+  // Search recipes by ingredients
+  router.get("/api/searchRecipesByIngredients", describe({
+    summary: "Find recipes using the given ingredients",
+    upstream: "GET /recipes/findByIngredients",
+    response: resultsOf(ref("RecipeSummary"))
+  }), validate(schemas.searchRecipesByIngredients), async (req, res) => {
+    const { ingredients, number, ranking, ignorePantry } = req.valid.query;
+
+    try {
+      const profile = await callerProfile(req);
+      const result = await fetchCached("ingredients", "/recipes/findByIngredients", { ingredients, number, ranking, ignorePantry });
+      res.json(await filterRecipesByProfile(result, profile, fetchRecipesBulk));
+    } catch (err) {
+      logger.error("Error searching recipes by ingredients", { error: err });
+      sendError(res, err, "Failed to search recipes by ingredients");
+    }
+  });
+
+  // Get recipe information by ID
+  router.get("/api/recipe/:id", describe({
+    summary: "Get recipe information",
+    upstream: "GET /recipes/{id}/information",
+    response: { oneOf: [ref("Recipe"), recipeViewSchema] }
+  }), validate(schemas.recipeInformation), async (req, res) => {
+    try {
+      const result = await fetchRecipeInformation(req.valid.params.id);
+      res.json(recipeInView(result, recipeProjection(req.valid.query)));
+    } catch (err) {
+      logger.error("Error fetching recipe", { error: err });
+      sendError(res, err, "Failed to fetch recipe details");
+    }
+  });
+
+  // Recipe information scaled to other servings and/or converted to US or metric units
+  router.get("/api/recipe/:id/scaled", describe({
+    summary: "Scale a recipe and convert its units",
+    description: "Ingredient amounts are scaled to `servings` and converted to `units`: by fixed factors for " +
+      "weights and metric to US volumes, through Spoonacular's conversion for US volumes to grams. " +
+      "`nutrition.nutrients` stays per serving; `nutrition.totals` is the whole recipe at the new servings.",
+    upstream: "GET /recipes/{id}/information",
+    response: { oneOf: [ref("Recipe"), recipeViewSchema] }
+  }), validate(schemas.scaled), async (req, res) => {
+    const { servings, units } = req.valid.query;
+    const projection = recipeProjection(req.valid.query);
+
+    try {
+      const recipe = await fetchRecipeInformation(req.valid.params.id);
+      const scaled = await scaleRecipe(recipe, { servings, system: units }, convertLinear);
+      res.json(projection ? { ...recipeInView(scaled, projection), scaling: scaled.scaling } : scaled);
+    } catch (err) {
+      logger.error("Error scaling recipe", { error: err });
+      sendError(res, err, "Failed to scale recipe");
+    }
+  });
+
+  // Get recipe information bulk
+  router.post("/api/recipes/bulk", describe({
+    summary: "Get information for several recipes",
+    upstream: "GET /recipes/informationBulk",
+    response: { oneOf: [resultsOf(ref("Recipe")), recipeViewResults()] }
+  }), validate(schemas.bulk), async (req, res) => {
+    try {
+      const result = await fetchRecipesBulk(req.valid.body.ids);
+      res.json(recipesInView(result, recipeProjection(req.valid.query)));
+    } catch (err) {
+      logger.error("Error fetching bulk recipes", { error: err });
+      sendError(res, err, "Failed to fetch bulk recipes");
+    }
+  });
+
+  // Get similar recipes
+  router.get("/api/recipe/:id/similar", describe({
+    summary: "Find similar recipes",
+    upstream: "GET /recipes/{id}/similar",
+    response: { oneOf: [resultsOf(ref("RecipeSummary")), recipeViewResults()] }
+  }), validate(schemas.similar), async (req, res) => {
+    const { id } = req.valid.params;
+
+    try {
+      const result = await fetchCached(`similar_${id}`, `/recipes/${id}/similar`, { number: req.valid.query.number });
+      res.json(recipesInView(result, recipeProjection(req.valid.query)));
+    } catch (err) {
+      logger.error("Error fetching similar recipes", { error: err });
+      sendError(res, err, "Failed to fetch similar recipes");
+    }
+  });
+
+  // Get random recipes
+  router.get("/api/recipes/random", describe({
+    summary: "Get random recipes",
+    upstream: "GET /recipes/random",
+    response: {
+      oneOf: [
+        { type: "object", properties: { recipes: { type: "array", items: ref("Recipe") } } },
+        recipeViewResults()
+      ]
+    }
+  }), validate(schemas.random), async (req, res) => {
+    const { number, tags, include_tags, exclude_tags } = req.valid.query;
+
+    try {
+      const profile = await callerProfile(req);
+      // Random recipes shouldn't be cached as aggressively
+      const result = await fetchCached("random", "/recipes/random", {
+        number,
+        tags,
+        // The profile's diets are tags every recipe must have
+        "include-tags": mergeList(include_tags, profile?.diet?.toLowerCase()),
+        "exclude-tags": exclude_tags
+      }, 300); // 5 minute cache
+      const filtered = await filterRecipesByProfile(result, profile, fetchRecipesBulk, { listKey: "recipes" });
+      res.json(recipesInView(filtered, recipeProjection(req.valid.query), { listKey: "recipes" }));
+    } catch (err) {
+      logger.error("Error fetching random recipes", { error: err });
+      sendError(res, err, "Failed to fetch random recipes");
+    }
+  });
+
+  // Autocomplete recipe search
+  router.get("/api/recipes/autocomplete", describe({
+    summary: "Autocomplete recipe titles",
+    upstream: "GET /recipes/autocomplete",
+    response: resultsOf(ref("RecipeSummary"))
+  }), validate(schemas.autocomplete), async (req, res) => {
+    const { query, number } = req.valid.query;
+
+    try {
+      const result = await fetchCached("autocomplete", "/recipes/autocomplete", { query: query.toLowerCase(), number });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error autocomplete recipes", { error: err });
+      sendError(res, err, "Failed to autocomplete recipes");
+    }
+  });
+
+  // Get recipe taste, equipment, price breakdown and ingredients by ID
+  recipeWidgetRoute("/api/recipe/:id/taste", {
+    summary: "Get recipe taste",
+    cacheKeyPrefix: "taste",
+    upstreamPath: "tasteWidget.json",
+    errorMessage: "Failed to fetch recipe taste"
+  });
+  recipeWidgetRoute("/api/recipe/:id/equipment", {
+    summary: "Get recipe equipment",
+    cacheKeyPrefix: "equipment",
+    upstreamPath: "equipmentWidget.json",
+    errorMessage: "Failed to fetch recipe equipment"
+  });
+  recipeWidgetRoute("/api/recipe/:id/price", {
+    summary: "Get recipe price breakdown",
+    cacheKeyPrefix: "price",
+    upstreamPath: "priceBreakdownWidget.json",
+    errorMessage: "Failed to fetch recipe price breakdown"
+  });
+  recipeWidgetRoute("/api/recipe/:id/ingredients", {
+    summary: "Get recipe ingredients",
+    cacheKeyPrefix: "ingredients_info",
+    upstreamPath: "ingredientWidget.json",
+    errorMessage: "Failed to fetch recipe ingredients"
+  });
+
+  // Get recipe nutrition by ID
+  router.get("/api/recipe/:id/nutrition", describe({
+    summary: "Get recipe nutrition",
+    upstream: "GET /recipes/{id}/nutritionWidget.json"
+  }), validate(schemas.recipe), async (req, res) => {
+    try {
+      const result = await fetchRecipeNutrition(req.valid.params.id);
+      res.json(result);
+    } catch (err) {
+      logger.error("Error fetching recipe nutrition", { error: err });
+      sendError(res, err, "Failed to fetch recipe nutrition");
+    }
+  });
+
+  // Get analyzed recipe instructions
+  recipeWidgetRoute("/api/recipe/:id/analyzedInstructions", {
+    summary: "Get analyzed recipe instructions",
+    cacheKeyPrefix: "analyzed_instructions",
+    upstreamPath: "analyzedInstructions",
+    errorMessage: "Failed to fetch analyzed instructions"
+  });
+
+  // Extract recipe from website
+  router.post("/api/recipes/extract", describe({
+    summary: "Extract a recipe from a website",
+    upstream: "GET /recipes/extract",
+    response: ref("Recipe")
+  }), validate(schemas.extract), async (req, res) => {
+    const { url: recipeUrl } = req.valid.body;
+
+    try {
+      const result = await fetchCached("extract", "/recipes/extract", { url: recipeUrl });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error extracting recipe", { error: err });
+      sendError(res, err, "Failed to extract recipe");
+    }
+  });
+
+  // Analyze recipe
+  router.post("/api/recipes/analyze", describe({
+    summary: "Analyze a recipe",
+    upstream: "POST /recipes/analyze",
+    response: ref("Recipe")
+  }), validate(schemas.analyze), async (req, res) => {
+    const { title, servings, ingredients, instructions } = req.valid.body;
+
+    try {
+      const result = await postForm("/recipes/analyze", {
+        title,
+        servings: String(servings),
+        ingredients,
+        instructions
+      });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error analyzing recipe", { error: err });
+      sendError(res, err, "Failed to analyze recipe");
+    }
+  });
+
+  // Summarize recipe
+  recipeWidgetRoute("/api/recipe/:id/summary", {
+    summary: "Summarize a recipe",
+    cacheKeyPrefix: "summary",
+    upstreamPath: "summary",
+    errorMessage: "Failed to summarize recipe"
+  });
+
+  // Analyze recipe instructions
+  router.post("/api/recipes/analyzeInstructions", describe({
+    summary: "Break instructions into steps",
+    upstream: "POST /recipes/analyzeInstructions"
+  }), validate(schemas.analyzeInstructions), async (req, res) => {
+    try {
+      const result = await postForm("/recipes/analyzeInstructions", {
+        instructions: req.valid.body.instructions
+      });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error analyzing instructions", { error: err });
+      sendError(res, err, "Failed to analyze instructions");
+    }
+  });
+
+  // Classify cuisine
+  router.post("/api/recipes/classifyCuisine", describe({
+    summary: "Classify the cuisine of a recipe",
+    upstream: "POST /recipes/cuisine"
+  }), validate(schemas.classifyCuisine), async (req, res) => {
+    try {
+      const result = await postForm("/recipes/cuisine", req.valid.body);
+      res.json(result);
+    } catch (err) {
+      logger.error("Error classifying cuisine", { error: err });
+      sendError(res, err, "Failed to classify cuisine");
+    }
+  });
+
+  // Analyze recipe search query
+  router.get("/api/recipes/analyzeQuery", describe({
+    summary: "Analyze a recipe search query",
+    upstream: "GET /recipes/queries/analyze"
+  }), validate(schemas.analyzeQuery), async (req, res) => {
+    const { q } = req.valid.query;
+
+    try {
+      const result = await fetchCached("analyze_query", "/recipes/queries/analyze", { q: q.toLowerCase() });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error analyzing query", { error: err });
+      sendError(res, err, "Failed to analyze query");
+    }
+  });
+
+  // Guess nutrition by dish name
+  router.get("/api/recipes/guessNutrition", describe({
+    summary: "Guess nutrition by dish name",
+    upstream: "GET /recipes/guessNutrition"
+  }), validate(schemas.guessNutrition), async (req, res) => {
+    const { title } = req.valid.query;
+
+    try {
+      const result = await fetchCached("guess_nutrition", "/recipes/guessNutrition", { title: title.toLowerCase() });
+      res.json(result);
+    } catch (err) {
+      logger.error("Error guessing nutrition", { error: err });
+      sendError(res, err, "Failed to guess nutrition");
+    }
+  });
+
+  return router;
+}
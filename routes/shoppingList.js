@@ -0,0 +1,100 @@
+import express from "express";
+import { NotFoundError, sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { describe } from "../lib/openapi.js";
+import {
+  SHOPPING_LIST_FIELDS,
+  checkShoppingList,
+  groupByAisle,
+  mergeIngredients,
+  scaleIngredients,
+  shoppingListRecipes,
+  subtractPantry,
+  toShoppingListItem
+} from "../lib/shoppingList.js";
+import { validate } from "../lib/validation.js";
+
+const schemas = {
+  shoppingList: {
+    body: SHOPPING_LIST_FIELDS,
+    check: checkShoppingList,
+    example: { recipes: [{ id: 716429, servings: 4 }, { id: 715538, servings: 2 }], pantry: ["salt", { name: "flour", amount: 200, unit: "g" }] }
+  }
+};
+
+const shoppingListItem = {
+  type: "object",
+  properties: {
+    id: { type: "integer", nullable: true },
+    name: { type: "string" },
+    aisle: { type: "string" },
+    amount: { type: "number" },
+    unit: { type: "string" },
+    pantryAmount: { type: "number" },
+    recipeIds: { type: "array", items: { type: "integer" } }
+  }
+};
+
+// Aggregated shopping lists
+export function shoppingListRoutes({ spoonacular }) {
+  const router = express.Router();
+  const { fetchRecipesBulk, convertLinear } = spoonacular;
+
+  // Aggregated shopping list for several recipes, grouped by aisle
+  router.post("/api/shoppingList", describe({
+    summary: "Build a shopping list for several recipes",
+    description: "Scales each recipe, merges ingredients across units and subtracts the pantry. " +
+      "Pass `recipes` with per-recipe servings, or `ids` with one `servings` for all.",
+    response: {
+      type: "object",
+      properties: {
+        recipes: { type: "array", items: { type: "object", additionalProperties: true } },
+        aisles: {
+          type: "array",
+          items: { type: "object", properties: { aisle: { type: "string" }, items: { type: "array", items: shoppingListItem } } }
+        },
+        coveredByPantry: { type: "array", items: shoppingListItem },
+        totalItems: { type: "integer" },
+        fromCache: { type: "boolean" },
+        timestamp: { type: "string", format: "date-time" }
+      }
+    }
+  }), validate(schemas.shoppingList), async (req, res) => {
+    const recipes = shoppingListRecipes(req.valid.body);
+    const { pantry = [] } = req.valid.body;
+
+    try {
+      const uniqueIds = [...new Set(recipes.map(recipe => recipe.id))];
+      const bulk = await fetchRecipesBulk(uniqueIds);
+      const byId = new Map((bulk.results || []).map(recipe => [recipe.id, recipe]));
+
+      const missing = uniqueIds.filter(id => !byId.has(id));
+      if (missing.length > 0) {
+        return sendError(res, new NotFoundError("Spoonacular has no recipes with these IDs", missing), "Recipes not found");
+      }
+
+      const lines = recipes.flatMap(({ id, servings }) => scaleIngredients(byId.get(id), servings));
+      const merged = await mergeIngredients(lines, convertLinear);
+      const { items, coveredByPantry } = await subtractPantry(merged, pantry, convertLinear);
+
+      res.json({
+        recipes: recipes.map(({ id, servings }) => ({
+          id,
+          title: byId.get(id).title,
+          originalServings: byId.get(id).servings,
+          servings: servings ?? byId.get(id).servings
+        })),
+        aisles: groupByAisle(items),
+        coveredByPantry: coveredByPantry.map(toShoppingListItem),
+        totalItems: items.length,
+        fromCache: bulk.fromCache,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      logger.error("Error building shopping list", { error: err });
+      sendError(res, err, "Failed to build shopping list");
+    }
+  });
+
+  return router;
+}
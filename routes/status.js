@@ -0,0 +1,59 @@
+import express from "express";
+import { sendError } from "../lib/http.js";
+import { logger } from "../lib/logger.js";
+import { PROMETHEUS_CONTENT_TYPE } from "../lib/metrics.js";
+import { describe } from "../lib/openapi.js";
+
+// Public status endpoints: root, upstream health, quota usage and metrics
+export function statusRoutes({ upstream, quota, metrics }) {
+  const router = express.Router();
+
+  // Root route - health check
+  router.get("/", describe({
+    summary: "Check that the wrapper is running",
+    contentType: "text/plain",
+    response: { type: "string" }
+  }), (req, res) => {
+    res.send("Spoonacular API wrapper is running! 🍽️");
+  });
+
+  // Upstream health - circuit breaker state and retry/timeout counters
+  router.get("/api/health", describe({
+    summary: "Upstream health and circuit breaker state"
+  }), (req, res) => {
+    const upstreamHealth = upstream.health();
+    res.json({
+      status: upstreamHealth.circuit === "closed" ? "ok" : "degraded",
+      upstream: upstreamHealth,
+      timestamp: new Date().toISOString()
+    });
+  });
+  // Spoonacular points spent per route and per day, and the daily budget status
+  router.get("/api/quota", describe({
+    summary: "Spoonacular points spent and daily budget"
+  }), async (req, res) => {
+    try {
+      res.json(await quota.report());
+    } catch (err) {
+      logger.error("Error reading quota", { error: err });
+      sendError(res, err, "Failed to read quota usage");
+    }
+  });
+
+  // Prometheus metrics: requests and latency per route, cache hits, Spoonacular
+  // latency and statuses, quota
+  router.get("/metrics", describe({
+    summary: "Prometheus metrics",
+    contentType: "text/plain",
+    response: { type: "string" }
+  }), async (req, res) => {
+    try {
+      res.type(PROMETHEUS_CONTENT_TYPE).send(await metrics.render());
+    } catch (err) {
+      logger.error("Error rendering metrics", { error: err });
+      sendError(res, err, "Failed to render metrics");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,109 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+describe("admin routes", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it("requires admin credentials", async () => {
+    const { status, headers, body } = await server.request("/api/cache/stats");
+    assert.equal(status, 401);
+    assert.equal(body.code, "ADMIN_REQUIRED");
+    assert.match(headers.get("www-authenticate"), /Bearer/);
+  });
+
+  it("rejects a wrong token", async () => {
+    const { status } = await server.request("/api/debug", { headers: { Authorization: "Bearer nope" } });
+    assert.equal(status, 401);
+  });
+
+  it("reports whether the Spoonacular key is set without exposing it", async () => {
+    const { status, body } = await server.request("/api/debug", { admin: true });
+    assert.equal(status, 200);
+    assert.equal(body.hasSpoonacularKey, true);
+    assert.ok(!JSON.stringify(body).includes("test-spoonacular-key"));
+  });
+
+  it("inspects and deletes cache entries", async () => {
+    await server.request("/api/recipe/716429");
+
+    const entry = await server.request("/api/cache/entries?key=recipe_716429", { admin: true });
+    assert.equal(entry.status, 200);
+    assert.equal(entry.body.data.id, 716429);
+    assert.equal(entry.body.stale, false);
+
+    const deleted = await server.request("/api/cache/entries?prefix=recipe_", { method: "DELETE", admin: true });
+    assert.equal(deleted.body.deleted, 1);
+
+    const missing = await server.request("/api/cache/entries?key=recipe_716429", { admin: true });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, "NOT_FOUND");
+  });
+
+  it("validates cache and prewarm requests", async () => {
+    for (const [path, options] of [
+      ["/api/cache/entries", {}],
+      ["/api/cache/entries", { method: "DELETE" }],
+      ["/api/admin/prewarm", { method: "POST", body: { ids: [] } }],
+      ["/api/admin/prewarm", { method: "POST", body: { ids: [716429, "abc"] } }]
+    ]) {
+      const { status, body } = await server.request(path, { ...options, admin: true });
+      assert.equal(status, 400, `${options.method || "GET"} ${path}`);
+      assert.equal(body.code, "VALIDATION_ERROR");
+      assert.ok(body.example);
+    }
+  });
+
+  it("answers store failures in the error format", async () => {
+    const { cache } = server.app.locals.services;
+    const working = { keys: cache.keys, get: cache.get, flush: cache.flush };
+    const fail = async () => {
+      throw new Error("disk unavailable");
+    };
+    Object.assign(cache, { keys: fail, get: fail, flush: fail });
+
+    try {
+      for (const [path, options, error] of [
+        ["/api/cache/stats", {}, "Failed to read cache stats"],
+        ["/api/cache/entries?key=recipe_716429", {}, "Failed to read cache entry"],
+        ["/api/cache/clear", { method: "DELETE" }, "Failed to clear cache"]
+      ]) {
+        const { status, body } = await server.request(path, { ...options, admin: true });
+        assert.equal(status, 500, `${options.method || "GET"} ${path}`);
+        assert.deepEqual(body, { error, code: "INTERNAL_ERROR", details: "disk unavailable" });
+      }
+    } finally {
+      Object.assign(cache, working);
+    }
+  });
+
+  it("pre-warms recipes into the cache", async () => {
+    const { body } = await server.request("/api/admin/prewarm", { method: "POST", admin: true, body: { ids: [1, 2] } });
+    assert.equal(body.fetched + body.alreadyCached, 2);
+
+    const recipe = await server.request("/api/recipe/1");
+    assert.equal(recipe.body.fromCache, true);
+  });
+});
+
+describe("admin routes without credentials configured", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ env: { ADMIN_TOKEN: "" } });
+  });
+
+  after(() => server.close());
+
+  it("are disabled", async () => {
+    const { status, body } = await server.request("/api/cache/stats");
+    assert.equal(status, 403);
+    assert.equal(body.code, "ADMIN_DISABLED");
+  });
+});
@@ -0,0 +1,106 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { dispatch } from "../lib/batch.js";
+import { MAX_BATCH_REQUESTS } from "../routes/batch.js";
+import { startTestServer } from "./helpers.js";
+
+describe("POST /api/batch", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(() => server.mock.reset());
+
+  after(() => server.close());
+
+  const batch = (requests, options = {}) => server.request("/api/batch", { method: "POST", body: { requests }, ...options });
+
+  it("answers every sub-request in order with its own status and body", async () => {
+    const { status, body } = await batch([
+      { id: "recipe", path: "/api/recipe/716429?view=card" },
+      { id: "taste", path: "/api/recipe/716429/taste" },
+      { id: "bulk", method: "POST", path: "/api/recipes/bulk", body: { ids: [716429, 715538] } },
+      { id: "invalid", path: "/api/recipe/abc" },
+      { path: "/api/nothing-here" }
+    ]);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => [result.id, result.status]), [
+      ["recipe", 200], ["taste", 200], ["bulk", 200], ["invalid", 400], [undefined, 404]
+    ]);
+    assert.equal(body.results[0].body.title, "Pasta with Garlic, Scallions, Cauliflower & Breadcrumbs");
+    assert.equal(body.results[2].body.results.length, 2);
+    assert.equal(body.results[3].body.code, "VALIDATION_ERROR");
+    assert.equal(body.results[4].body.code, "NOT_FOUND");
+  });
+
+  it("keeps every change of concurrent writes to one record", async () => {
+    const headers = { "X-User-Id": "batcher" };
+    const created = await server.request("/api/collections", { method: "POST", headers, body: { name: "Batched" } });
+    const path = `/api/collections/${created.body.id}/recipes`;
+
+    const { body } = await batch([1, 2, 3].map(recipeId => ({ method: "POST", path, body: { recipeIds: [recipeId] } })), { headers });
+    assert.deepEqual(body.results.map(result => result.status), [200, 200, 200]);
+    const collection = await server.request(`/api/collections/${created.body.id}`, { headers });
+    assert.deepEqual(collection.body.recipeIds.sort(), [1, 2, 3]);
+  });
+
+  it("shares the cache with direct calls", async () => {
+    await server.request("/api/recipe/716429/equipment");
+    const { body } = await batch([
+      { path: "/api/recipe/716429/equipment" },
+      { path: "/api/recipe/716429/price" },
+      { path: "/api/recipe/716429/price" }
+    ]);
+
+    assert.equal(body.results[0].body.fromCache, true);
+    // The identical sub-requests reach Spoonacular once
+    assert.equal(server.mock.requestsFor("/recipes/{id}/priceBreakdownWidget.json").length, 1);
+  });
+
+  it("passes on upstream errors and Retry-After per sub-request", async () => {
+    server.mock.respond("/recipes/{id}/summary", () => ({ status: 429, headers: { "Retry-After": "7" }, body: {} }));
+
+    const { body } = await batch([{ path: "/api/recipe/9/summary" }, { path: "/api/recipe/9/taste" }]);
+    assert.equal(body.results[0].status, 429);
+    assert.equal(body.results[0].retryAfter, 7);
+    assert.equal(body.results[1].status, 200);
+  });
+
+  it("applies the caller's credentials to each sub-request", async () => {
+    const anonymous = await batch([{ path: "/api/cache/stats" }]);
+    assert.equal(anonymous.body.results[0].status, 401);
+
+    const admin = await batch([{ path: "/api/cache/stats" }], { admin: true });
+    assert.equal(admin.body.results[0].status, 200);
+  });
+
+  it("refuses to run a batch as a sub-request, however it is spelled", async () => {
+    for (const url of ["/api/batch", "/api/batch/", "/api/BATCH"]) {
+      const { status, body } = await dispatch(server.app, { method: "POST", url, body: { requests: [{ path: "/api/health" }] } });
+      assert.equal(status, 400, url);
+      assert.equal(body.code, "VALIDATION_ERROR");
+    }
+  });
+
+  it("rejects invalid batches", async () => {
+    const INVALID = [
+      [],
+      Array.from({ length: MAX_BATCH_REQUESTS + 1 }, () => ({ path: "/api/recipe/1" })),
+      [{ method: "GET" }],
+      [{ path: "/api/batch" }],
+      [{ path: "/api/batch/" }],
+      [{ path: "/api/Batch?x=1" }],
+      [{ path: "https://example.com/api/recipe/1" }],
+      [{ method: "DELETE", path: "/api/cache/clear" }]
+    ];
+
+    for (const requests of INVALID) {
+      const { status, body } = await batch(requests);
+      assert.equal(status, 400, JSON.stringify(requests).slice(0, 80));
+      assert.equal(body.code, "VALIDATION_ERROR");
+    }
+  });
+});
@@ -0,0 +1,334 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildCacheKey } from "../lib/cacheKeys.js";
+import { startTestServer } from "./helpers.js";
+
+describe("caching", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  beforeEach(async () => {
+    server.mock.reset();
+    await server.request("/api/cache/clear", { method: "DELETE", admin: true });
+  });
+
+  after(() => server.close());
+
+  it("serves a repeated request from cache", async () => {
+    const first = await server.request("/api/recipe/716429");
+    const second = await server.request("/api/recipe/716429");
+
+    assert.equal(first.body.fromCache, false);
+    assert.equal(second.body.fromCache, true);
+    assert.equal(second.body.title, first.body.title);
+    assert.equal(server.mock.requestsFor("/recipes/{id}/information").length, 1);
+  });
+
+  it("shares the cache between equivalent searches", async () => {
+    await server.request("/api/searchRecipes?query=Pasta&diet=vegetarian");
+    const { body } = await server.request("/api/searchRecipes?diet=Vegetarian&query=pasta");
+
+    assert.equal(body.fromCache, true);
+    assert.equal(server.mock.requestsFor("/recipes/complexSearch").length, 1);
+  });
+
+  it("coalesces concurrent misses into one upstream request", async () => {
+    server.mock.respond("/recipes/{id}/summary", async () => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return { body: { id: 716429, title: "Pasta", summary: "Slow summary" } };
+    });
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => server.request("/api/recipe/716429/summary"))
+    );
+
+    assert.ok(responses.every(response => response.status === 200));
+    assert.equal(server.mock.requestsFor("/recipes/{id}/summary").length, 1);
+
+    const stats = await server.request("/api/cache/stats", { admin: true });
+    assert.ok(stats.body.coalescedRequests >= 4);
+  });
+
+  it("reports cached entries in stats", async () => {
+    await server.request("/api/recipe/716429");
+    await server.request("/api/searchRecipes?query=pasta");
+
+    const { body } = await server.request("/api/cache/stats", { admin: true });
+    assert.equal(body.store, "memory");
+    assert.equal(body.cachedRecipes, 1);
+    assert.equal(body.cachedQueries, 1);
+    assert.ok(body.cacheKeys.includes("recipe_716429"));
+  });
+
+  it("does not cache failed upstream responses", async () => {
+    server.mock.respond("/recipes/{id}/tasteWidget.json", () => ({ status: 500, body: { message: "boom" } }));
+    await server.request("/api/recipe/716429/taste");
+
+    server.mock.reset();
+    const { status, body } = await server.request("/api/recipe/716429/taste");
+    assert.equal(status, 200);
+    assert.equal(body.fromCache, false);
+  });
+
+  describe("cache keys", () => {
+    // Per route: two equivalent requests that must share an entry, then one
+    // differing in a forwarded param that must not
+    const ROUTES = [
+      {
+        upstream: "/recipes/findByIngredients",
+        same: ["/api/searchRecipesByIngredients?ingredients=apples,flour", "/api/searchRecipesByIngredients?number=12&ingredients=flour, Apples"],
+        different: ["/api/searchRecipesByIngredients?ingredients=apples,flour&number=5", "/api/searchRecipesByIngredients?ingredients=apples,flour&ranking=2", "/api/searchRecipesByIngredients?ingredients=apples,flour&ignorePantry=true"]
+      },
+      {
+        upstream: "/recipes/{id}/similar",
+        same: ["/api/recipe/716429/similar", "/api/recipe/716429/similar?number=3&view=card"],
+        different: ["/api/recipe/716429/similar?number=5"]
+      },
+      {
+        upstream: "/food/ingredients/autocomplete",
+        same: ["/api/ingredients/autocomplete?query=App", "/api/ingredients/autocomplete?query=app&number=10"],
+        different: ["/api/ingredients/autocomplete?query=app&intolerances=dairy", "/api/ingredients/autocomplete?query=app&number=3"]
+      },
+      {
+        upstream: "/food/ingredients/search",
+        same: ["/api/ingredients/search?query=Banana", "/api/ingredients/search?query=banana"],
+        different: ["/api/ingredients/search?query=banana&sort=calories", "/api/ingredients/search?query=banana&number=2", "/api/ingredients/search?query=banana&intolerances=dairy"]
+      },
+      {
+        upstream: "/recipes/random",
+        same: ["/api/recipes/random?tags=vegetarian", "/api/recipes/random?tags=Vegetarian&number=3"],
+        different: ["/api/recipes/random?tags=vegan"]
+      },
+      {
+        upstream: "/recipes/findByNutrients",
+        same: ["/api/searchRecipesByNutrients?minProtein=10&maxFat=20", "/api/searchRecipesByNutrients?maxFat=20&minProtein=10"],
+        different: ["/api/searchRecipesByNutrients?minProtein=10&maxFat=25"]
+      },
+      {
+        upstream: "/recipes/autocomplete",
+        same: ["/api/recipes/autocomplete?query=Pasta", "/api/recipes/autocomplete?query=pasta"],
+        different: ["/api/recipes/autocomplete?query=pasta&number=2"]
+      },
+      {
+        upstream: "/food/ingredients/{id}/amount",
+        same: ["/api/ingredients/9266/amount?nutrient=protein&target=2", "/api/ingredients/9266/amount?target=2&nutrient=protein"],
+        different: ["/api/ingredients/9266/amount?nutrient=protein&target=2&unit=oz"]
+      },
+      {
+        upstream: "/food/ingredients/{id}/information",
+        same: ["/api/ingredients/9266/information", "/api/ingredients/9266/information?amount=1"],
+        different: ["/api/ingredients/9266/information?amount=2"]
+      },
+      {
+        upstream: "/recipes/convert",
+        same: ["/api/ingredients/convert?ingredientName=flour&sourceAmount=2&sourceUnit=cups&targetUnit=grams", "/api/ingredients/convert?targetUnit=grams&sourceUnit=cups&sourceAmount=2&ingredientName=flour"],
+        different: ["/api/ingredients/convert?ingredientName=flour&sourceAmount=3&sourceUnit=cups&targetUnit=grams"]
+      },
+      {
+        upstream: "/food/ingredients/substitutes",
+        same: ["/api/ingredients/substitutes?ingredientName=Butter", "/api/ingredients/substitutes?ingredientName=butter"],
+        different: ["/api/ingredients/substitutes?ingredientName=milk"]
+      },
+      {
+        upstream: "/recipes/guessNutrition",
+        same: ["/api/recipes/guessNutrition?title=Spaghetti", "/api/recipes/guessNutrition?title=spaghetti"],
+        different: ["/api/recipes/guessNutrition?title=pizza"]
+      }
+    ];
+
+    it("builds keys from sorted, trimmed params without the API key", () => {
+      assert.equal(buildCacheKey("similar_1", { number: 5, apiKey: "secret", tags: undefined, query: " pasta " }), "similar_1_number=5&query=pasta");
+      assert.equal(buildCacheKey("search", new URLSearchParams("b=2&a=1&empty=")), "search_a=1&b=2");
+      assert.equal(buildCacheKey("taste_716429"), "taste_716429");
+    });
+
+    for (const { upstream, same, different } of ROUTES) {
+      it(`keys ${upstream} on every forwarded param`, async () => {
+        for (const path of same) assert.equal((await server.request(path)).status, 200, path);
+        assert.equal(server.mock.requestsFor(upstream).length, 1, "equivalent requests share an entry");
+
+        for (const path of different) await server.request(path);
+        assert.equal(server.mock.requestsFor(upstream).length, 1 + different.length, "each param change is a new entry");
+
+        const { body } = await server.request("/api/cache/stats", { admin: true });
+        assert.ok(body.cacheKeys.every(key => !key.includes("apiKey")), body.cacheKeys.join(" "));
+      });
+    }
+  });
+
+  describe("bulk recipes", () => {
+    // informationBulk answering with exactly the requested recipes
+    const respondWithRequestedIds = () => server.mock.respond("/recipes/informationBulk", ({ query }) => ({
+      body: query.ids.split(",").filter(id => id !== "404").map(id => ({ id: Number(id), title: `Recipe ${id}` }))
+    }));
+
+    const bulk = ids => server.request("/api/recipes/bulk", { method: "POST", body: { ids } });
+
+    it("fetches only the recipes missing from the per-recipe cache", async () => {
+      respondWithRequestedIds();
+      await server.request("/api/recipe/716429");
+
+      const first = await bulk([3, 716429, 2]);
+      assert.deepEqual(first.body.results.map(recipe => recipe.id), [3, 716429, 2]);
+      assert.equal(first.body.fromCache, false);
+      assert.deepEqual(server.mock.requestsFor("/recipes/informationBulk").map(request => request.query.ids), ["3,2"]);
+
+      // Any order or subset of cached recipes, and /api/recipe/:id, reuse the entries
+      const second = await bulk([2, 3]);
+      assert.deepEqual(second.body.results.map(recipe => recipe.id), [2, 3]);
+      assert.equal(second.body.fromCache, true);
+      assert.equal((await server.request("/api/recipe/3")).body.fromCache, true);
+      assert.equal(server.mock.requestsFor("/recipes/informationBulk").length, 1);
+    });
+
+    it("splits large fetches into informationBulk batches", async () => {
+      respondWithRequestedIds();
+      const ids = Array.from({ length: 98 }, (_, index) => 1000 + index);
+
+      const { body } = await bulk([...ids, 404, ids[0]]);
+      // Once per ID, in request order, without the one Spoonacular doesn't know
+      assert.deepEqual(body.results.map(recipe => recipe.id), ids);
+      assert.deepEqual(server.mock.requestsFor("/recipes/informationBulk").map(request => request.query.ids.split(",").length), [50, 49]);
+    });
+
+    it("rejects too many or invalid IDs", async () => {
+      for (const ids of [[], Array.from({ length: 101 }, (_, index) => index + 1), [1, 2.5], [0]]) {
+        const { status, body } = await bulk(ids);
+        assert.equal(status, 400);
+        assert.equal(body.code, "VALIDATION_ERROR");
+      }
+    });
+  });
+
+  it("caches the form POST endpoints by their normalized body", async () => {
+    const first = await server.request("/api/ingredients/parse", { method: "POST", body: { ingredientList: "1 cup flour\n2 eggs" } });
+    const second = await server.request("/api/ingredients/parse", { method: "POST", body: { ingredientList: ["  1 cup  flour", "", "2 eggs "], servings: 1 } });
+    const other = await server.request("/api/ingredients/parse", { method: "POST", body: { ingredientList: "1 cup flour", servings: 2 } });
+
+    assert.equal(first.body.fromCache, false);
+    assert.equal(first.body.results[0].name, "flour");
+    assert.equal(second.body.fromCache, true);
+    assert.equal(other.body.fromCache, false);
+    assert.deepEqual(server.mock.requestsFor("/recipes/parseIngredients").map(request => request.body.ingredientList), ["1 cup flour\n2 eggs", "1 cup flour"]);
+
+    const { body } = await server.request("/api/cache/stats", { admin: true });
+    assert.equal(body.cachedAnalyses, 2);
+    assert.equal(body.analysisCacheHits, 1);
+    assert.equal(body.analysisCacheMisses, 2);
+  });
+});
+
+// Move a cached entry's fetch time `seconds` into the past
+async function ageCacheEntry(server, cacheKey, seconds) {
+  const { cache } = server.app.locals.services;
+  const entry = await cache.get(cacheKey);
+  await cache.set(cacheKey, { ...entry, fetchedAt: entry.fetchedAt - seconds * 1000 }, 3600);
+}
+
+// Wait until `predicate()` holds (background work), failing after a second
+async function eventually(predicate) {
+  for (let waited = 0; !(await predicate()); waited += 10) {
+    if (waited >= 1000) assert.fail("timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe("stale-while-revalidate", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  beforeEach(async () => {
+    server.mock.reset();
+    await server.request("/api/cache/clear", { method: "DELETE", admin: true });
+    await server.request("/api/recipe/716429");
+  });
+
+  after(() => server.close());
+
+  const information = () => server.mock.requestsFor("/recipes/{id}/information");
+
+  it("answers from cache and refreshes in the background past the soft TTL", async () => {
+    await ageCacheEntry(server, "recipe_716429", 2800);
+
+    const { body } = await server.request("/api/recipe/716429");
+    assert.equal(body.fromCache, true);
+    assert.equal(body.stale, undefined);
+
+    // The refresh stores a fresh copy
+    const { cache } = server.app.locals.services;
+    await eventually(async () => Date.now() - (await cache.get("recipe_716429")).fetchedAt < 60 * 1000);
+    assert.equal(information().length, 2);
+  });
+
+  it("marks the copy stale once it is past its TTL", async () => {
+    await ageCacheEntry(server, "recipe_716429", 4000);
+
+    const { body } = await server.request("/api/recipe/716429");
+    assert.equal(body.fromCache, true);
+    assert.equal(body.stale, true);
+    assert.ok(body.fetchedAt);
+    await eventually(() => information().length === 2);
+  });
+
+  it("leaves entries younger than the soft TTL alone", async () => {
+    await ageCacheEntry(server, "recipe_716429", 60);
+
+    await server.request("/api/recipe/716429");
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(information().length, 1);
+  });
+});
+
+describe("stale grace period", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ env: { CACHE_STALE_GRACE: "600", BREAKER_FAILURE_THRESHOLD: "100" } });
+  });
+
+  after(() => server.close());
+
+  it("keeps entries for the grace period past their TTL", async () => {
+    await server.request("/api/recipe/716429/taste");
+    const { cache } = server.app.locals.services;
+    const [key] = (await cache.keys()).filter(cacheKey => cacheKey.startsWith("taste_"));
+
+    const expiresIn = (await cache.expiresAt(key)) - Date.now();
+    assert.ok(expiresIn > 3590 * 1000 && expiresIn <= 4200 * 1000, `expires in ${expiresIn}ms`);
+  });
+
+  it("serves an expired copy, marked stale, when Spoonacular fails", async () => {
+    await server.request("/api/recipe/716429/equipment");
+    const { cache } = server.app.locals.services;
+    const [key] = (await cache.keys()).filter(cacheKey => cacheKey.startsWith("equipment_"));
+    await ageCacheEntry(server, key, 4000);
+
+    server.mock.respond("/recipes/{id}/equipmentWidget.json", () => ({ status: 503, body: { message: "down" } }));
+    const { status, body } = await server.request("/api/recipe/716429/equipment");
+    assert.equal(status, 200);
+    assert.equal(body.stale, true);
+    assert.equal(body.fromCache, true);
+
+    // Client errors aren't papered over with stale data
+    server.mock.respond("/recipes/{id}/equipmentWidget.json", () => ({ status: 404, body: { message: "gone" } }));
+    assert.equal((await server.request("/api/recipe/716429/equipment")).status, 404);
+  });
+
+  it("is off with CACHE_STALE_GRACE=0", async () => {
+    const noGrace = await startTestServer();
+    try {
+      await noGrace.request("/api/recipe/716429/taste");
+      const { cache } = noGrace.app.locals.services;
+      const [key] = (await cache.keys()).filter(cacheKey => cacheKey.startsWith("taste_"));
+      assert.ok((await cache.expiresAt(key)) - Date.now() <= 3600 * 1000);
+    } finally {
+      await noGrace.close();
+    }
+  });
+});
@@ -0,0 +1,86 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+const CLIENTS = [
+  { name: "web", key: "web-key", rateLimit: { requests: 2, windowSeconds: 60 } },
+  { name: "partner", key: "partner-key", dailyCap: 1 },
+  { name: "ops", key: "ops-key", admin: true }
+];
+
+describe("client keys", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ clients: CLIENTS });
+  });
+
+  after(() => server.close());
+
+  const as = (key, urlPath, options = {}) =>
+    server.request(urlPath, { ...options, headers: { "X-API-Key": key, ...options.headers } });
+
+  it("requires a known key outside the public paths", async () => {
+    const missing = await server.request("/api/recipe/716429");
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, "MISSING_API_KEY");
+
+    const invalid = await as("nope", "/api/recipe/716429");
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, "INVALID_API_KEY");
+
+    assert.equal((await server.request("/api/health")).status, 200);
+    assert.equal(server.mock.requests.length, 0);
+  });
+
+  it("applies each client's rate limit", async () => {
+    const first = await as("web-key", "/api/recipe/716429");
+    const second = await as("web-key", "/api/recipe/716429");
+    assert.deepEqual([first.status, second.status], [200, 200]);
+    assert.equal(first.headers.get("x-ratelimit-limit"), "2");
+    assert.deepEqual([first.headers.get("x-ratelimit-remaining"), second.headers.get("x-ratelimit-remaining")], ["1", "0"]);
+
+    const limited = await as("web-key", "/api/recipe/716429");
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, "RATE_LIMITED");
+    assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+
+    // Other clients have their own limits
+    assert.equal((await as("partner-key", "/api/recipe/716429")).status, 200);
+  });
+
+  it("applies the daily cap", async () => {
+    const capped = await as("partner-key", "/api/recipe/716429");
+    assert.equal(capped.status, 429);
+    assert.equal(capped.body.code, "DAILY_CAP_REACHED");
+  });
+
+  it("lets admin clients into admin routes and reports usage per client", async () => {
+    assert.equal((await as("partner-key", "/api/admin/clients")).status, 429);
+    const { status, body } = await as("ops-key", "/api/admin/clients");
+    assert.equal(status, 200);
+    assert.equal(body.enabled, true);
+
+    const byName = Object.fromEntries(body.clients.map(client => [client.name, client]));
+    assert.equal(byName.web.requestsToday, 2);
+    assert.equal(byName.web.rejectedToday, 1);
+    // The web client's first request spent the Spoonacular point; the rest came from cache
+    assert.equal(byName.web.pointsToday, 1);
+    assert.equal(byName.partner.requestsToday, 1);
+    assert.equal(byName.partner.rejectedToday, 2);
+    assert.equal(byName.partner.pointsToday, 0);
+  });
+
+  it("keeps admin routes closed to other clients", async () => {
+    assert.equal((await as("ops-key", "/api/cache/stats")).status, 200);
+
+    const fresh = await startTestServer({ clients: [{ name: "app", key: "app-key" }] });
+    try {
+      const { status, body } = await fresh.request("/api/cache/stats", { headers: { "X-API-Key": "app-key" } });
+      assert.equal(status, 401);
+      assert.equal(body.code, "ADMIN_REQUIRED");
+    } finally {
+      await fresh.close();
+    }
+  });
+});
@@ -0,0 +1,106 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+describe("/api/collections", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(() => server.mock.reset());
+
+  after(() => server.close());
+
+  const as = (userId, urlPath, options = {}) =>
+    server.request(urlPath, { ...options, headers: { "X-User-Id": userId, ...options.headers } });
+
+  it("creates, updates and deletes a user's collections", async () => {
+    const created = await as("alice", "/api/collections", { method: "POST", body: { name: "Favorites", recipeIds: [716429, 716429] } });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.recipeIds, [716429]);
+    assert.equal(created.body.userId, undefined);
+    const { id } = created.body;
+
+    const added = await as("alice", `/api/collections/${id}/recipes`, { method: "POST", body: { recipeIds: [715538, 716429] } });
+    assert.deepEqual(added.body.recipeIds, [716429, 715538]);
+
+    const renamed = await as("alice", `/api/collections/${id}`, { method: "PUT", body: { name: "Weeknight" } });
+    assert.equal(renamed.body.name, "Weeknight");
+    assert.deepEqual(renamed.body.recipeIds, [716429, 715538]);
+
+    const removed = await as("alice", `/api/collections/${id}/recipes/716429`, { method: "DELETE" });
+    assert.deepEqual(removed.body.recipeIds, [715538]);
+
+    const list = await as("alice", "/api/collections");
+    assert.deepEqual(list.body.results.map(({ name, recipeCount }) => [name, recipeCount]), [["Weeknight", 1]]);
+
+    assert.equal((await as("alice", `/api/collections/${id}`, { method: "DELETE" })).status, 200);
+    assert.equal((await as("alice", `/api/collections/${id}`)).status, 404);
+  });
+
+  it("keeps users' collections apart", async () => {
+    const { body } = await as("bob", "/api/collections", { method: "POST", body: { name: "Bob's" } });
+
+    assert.deepEqual((await as("carol", "/api/collections")).body.results, []);
+    const other = await as("carol", `/api/collections/${body.id}`);
+    assert.equal(other.status, 404);
+    assert.equal(other.body.code, "NOT_FOUND");
+    assert.equal((await as("carol", `/api/collections/${body.id}`, { method: "DELETE" })).status, 404);
+    assert.equal((await as("bob", `/api/collections/${body.id}`)).status, 200);
+  });
+
+  it("rejects duplicate names per user", async () => {
+    await as("dave", "/api/collections", { method: "POST", body: { name: "Soups" } });
+    const duplicate = await as("dave", "/api/collections", { method: "POST", body: { name: "soups" } });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, "COLLECTION_EXISTS");
+
+    assert.equal((await as("erin", "/api/collections", { method: "POST", body: { name: "Soups" } })).status, 201);
+
+    const { body } = await as("dave", "/api/collections", { method: "POST", body: { name: "Stews" } });
+    const renamed = await as("dave", `/api/collections/${body.id}`, { method: "PUT", body: { name: "SOUPS" } });
+    assert.equal(renamed.status, 409);
+    assert.equal(renamed.body.code, "COLLECTION_EXISTS");
+  });
+
+  it("keeps every recipe of concurrent additions", async () => {
+    const { body } = await as("frank", "/api/collections", { method: "POST", body: { name: "Salads" } });
+
+    const added = await Promise.all([1, 2, 3].map(recipeId =>
+      as("frank", `/api/collections/${body.id}/recipes`, { method: "POST", body: { recipeIds: [recipeId] } })));
+    assert.deepEqual(added.map(response => response.status), [200, 200, 200]);
+    assert.deepEqual((await as("frank", `/api/collections/${body.id}`)).body.recipeIds.sort(), [1, 2, 3]);
+  });
+
+  it("requires the X-User-Id header", async () => {
+    const { status, body } = await server.request("/api/collections");
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map(detail => [detail.in, detail.field]), [["headers", "x-user-id"]]);
+  });
+
+  it("returns the recipes as cards in collection order", async () => {
+    const { body: collection } = await as("frank", "/api/collections", { method: "POST", body: { name: "Pasta", recipeIds: [715538, 999, 716429] } });
+
+    const { status, body } = await as("frank", `/api/collections/${collection.id}/recipes`);
+    assert.equal(status, 200);
+    assert.equal(body.schemaVersion, 1);
+    assert.deepEqual(body.results.map(recipe => recipe.id), [715538, 716429]);
+    assert.deepEqual(Object.keys(body.results[0]).sort(), ["id", "image", "servings", "times", "title"]);
+    assert.deepEqual(body.missing, [999]);
+
+    // Recipes are cached one by one, so only the unknown ID is asked for again
+    const again = await as("frank", `/api/collections/${collection.id}/recipes?fields=title`);
+    assert.deepEqual(Object.keys(again.body.results[0]), ["id", "title"]);
+    assert.deepEqual(server.mock.requestsFor("/recipes/informationBulk").map(request => request.query.ids), ["715538,999,716429", "999"]);
+  });
+
+  it("doesn't call Spoonacular for an empty collection", async () => {
+    const { body: collection } = await as("gina", "/api/collections", { method: "POST", body: { name: "Empty" } });
+
+    const { body } = await as("gina", `/api/collections/${collection.id}/recipes`);
+    assert.deepEqual(body.results, []);
+    assert.equal(server.mock.requestsFor("/recipes/informationBulk").length, 0);
+  });
+});
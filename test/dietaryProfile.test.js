@@ -0,0 +1,234 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ingredientViolations, mergeDiets, recipeViolations } from "../lib/dietaryProfile.js";
+import { startTestServer } from "./helpers.js";
+
+const ingredients = (...names) => names.map(name => ({ name, amount: 1, unit: "" }));
+const withCalories = calories => ({ nutrients: [{ name: "Calories", amount: calories, unit: "kcal" }] });
+
+describe("dietary profiles", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(() => server.mock.reset());
+
+  after(() => server.close());
+
+  const as = (userId, urlPath, options = {}) =>
+    server.request(urlPath, { ...options, headers: { "X-User-Id": userId, ...options.headers } });
+
+  const setProfile = (userId, body) => as(userId, "/api/dietaryProfile", { method: "PUT", body });
+
+  // informationBulk answering from `recipes` by ID
+  const respondWithBulk = recipes => server.mock.respond("/recipes/informationBulk", ({ query }) => ({
+    body: query.ids.split(",").map(Number).filter(id => recipes[id]).map(id => ({ id, ...recipes[id] }))
+  }));
+
+  it("stores, replaces and deletes a user's profile", async () => {
+    assert.equal((await as("alice", "/api/dietaryProfile")).status, 404);
+
+    const saved = await setProfile("alice", { diet: "vegetarian", intolerances: "tree nut, PEANUT", maxCalories: 700 });
+    assert.equal(saved.status, 200);
+    assert.deepEqual({ ...saved.body, updatedAt: undefined }, { diet: "Vegetarian", intolerances: "Peanut,Tree Nut", maxCalories: 700, updatedAt: undefined });
+
+    // Fields left out are cleared
+    const replaced = await setProfile("alice", { excludeIngredients: "Mushrooms,olives" });
+    assert.deepEqual((await as("alice", "/api/dietaryProfile")).body, replaced.body);
+    assert.equal(replaced.body.excludeIngredients, "mushrooms,olives");
+    assert.equal(replaced.body.diet, undefined);
+
+    assert.equal((await as("bob", "/api/dietaryProfile")).status, 404);
+    assert.equal((await as("alice", "/api/dietaryProfile", { method: "DELETE" })).status, 200);
+    assert.equal((await as("alice", "/api/dietaryProfile")).status, 404);
+  });
+
+  it("keeps one profile per user under concurrent first saves", async () => {
+    const saved = await Promise.all([{ diet: "vegan" }, { maxCalories: 600 }].map(profile => setProfile("frank", profile)));
+    assert.deepEqual(saved.map(response => response.status), [200, 200]);
+    const records = (await server.app.locals.services.dietaryProfiles.list()).filter(record => record.userId === "frank");
+    assert.equal(records.length, 1);
+    assert.equal((await as("frank", "/api/dietaryProfile")).body.maxCalories, 600);
+  });
+
+  it("validates profiles", async () => {
+    for (const body of [{}, { diet: "carnivore" }, { intolerances: "pollen" }, { maxCalories: 10 }]) {
+      const { status, body: error } = await setProfile("alice", body);
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.equal(error.code, "VALIDATION_ERROR");
+    }
+  });
+
+  it("merges the profile into searchRecipes and double-checks the results", async () => {
+    await setProfile("carol", { diet: "vegetarian", intolerances: "peanut", excludeIngredients: "mushrooms", maxCalories: 600 });
+    server.mock.respond("/recipes/complexSearch", () => ({
+      body: {
+        results: [
+          { id: 1, title: "Tomato pasta", vegetarian: true, diets: ["lacto ovo vegetarian"], nutrition: withCalories(500) },
+          { id: 2, title: "Satay noodles", vegetarian: true, diets: ["lacto ovo vegetarian"], nutrition: withCalories(400) },
+          { id: 3, title: "Mushroom risotto", vegetarian: true, diets: ["lacto ovo vegetarian"], nutrition: withCalories(550) },
+          { id: 4, title: "Chicken pasta", vegetarian: false, diets: [], nutrition: withCalories(650) }
+        ],
+        offset: 0,
+        number: 4,
+        totalResults: 4
+      }
+    }));
+    respondWithBulk({
+      1: { extendedIngredients: ingredients("pasta", "tomato") },
+      2: { extendedIngredients: ingredients("rice noodles", "peanut butter") },
+      3: { extendedIngredients: ingredients("arborio rice", "cremini mushrooms") },
+      4: { extendedIngredients: ingredients("pasta", "chicken breast") }
+    });
+
+    const { status, body } = await as("carol", "/api/searchRecipes?query=pasta&intolerances=dairy&diet=vegan|pescetarian");
+    assert.equal(status, 200);
+
+    const [search] = server.mock.requestsFor("/recipes/complexSearch");
+    assert.equal(search.query.diet, "Vegetarian,Pescetarian|Vegan");
+    assert.equal(search.query.intolerances, "Dairy,Peanut");
+    assert.equal(search.query.excludeIngredients, "mushrooms");
+    assert.equal(search.query.maxCalories, "600");
+
+    assert.deepEqual(body.results.map(recipe => recipe.id), [1]);
+    assert.deepEqual(body.dietaryProfile.removed.map(({ id, violations }) => [id, violations.map(violation => violation.rule)]), [
+      [2, ["intolerance"]],
+      [3, ["excludeIngredients"]],
+      [4, ["diet", "maxCalories"]]
+    ]);
+    assert.deepEqual(body.dietaryProfile.removed[0].violations[0], { rule: "intolerance", value: "Peanut", ingredient: "peanut butter" });
+    // Pagination links don't carry the profile
+    assert.equal(body.pagination.next, null);
+
+    // Without X-User-Id nothing changes
+    server.mock.reset();
+    const anonymous = await server.request("/api/searchRecipes?query=pasta");
+    assert.equal(anonymous.body.dietaryProfile, undefined);
+    assert.equal(server.mock.requestsFor("/recipes/complexSearch")[0].query.intolerances, undefined);
+    assert.equal(server.mock.requestsFor("/recipes/informationBulk").length, 0);
+  });
+
+  it("checks searchRecipes results on the data complexSearch returns", async () => {
+    await setProfile("ivan", { intolerances: "dairy", maxCalories: 600 });
+    server.mock.respond("/recipes/complexSearch", () => ({
+      body: {
+        results: [
+          { id: 12, title: "Mac and cheese", extendedIngredients: ingredients("macaroni", "cheddar cheese"), nutrition: withCalories(550) },
+          { id: 13, title: "Lentil soup", extendedIngredients: ingredients("lentils", "carrots"), nutrition: withCalories(350) }
+        ],
+        offset: 0,
+        number: 2,
+        totalResults: 2
+      }
+    }));
+
+    const { body } = await as("ivan", "/api/searchRecipes?query=dinner");
+    const [search] = server.mock.requestsFor("/recipes/complexSearch");
+    assert.deepEqual(
+      [search.query.addRecipeInformation, search.query.fillIngredients, search.query.addRecipeNutrition],
+      ["true", "true", "true"]
+    );
+    assert.deepEqual(body.results.map(recipe => recipe.id), [13]);
+    assert.equal(server.mock.requestsFor("/recipes/informationBulk").length, 0);
+
+    // Without a calorie cap nutrition isn't asked for
+    server.mock.reset();
+    await setProfile("ivan", { intolerances: "dairy" });
+    await as("ivan", "/api/searchRecipes?query=dinner");
+    assert.equal(server.mock.requestsFor("/recipes/complexSearch")[0].query.addRecipeNutrition, undefined);
+  });
+
+  it("rules out recipes whose information can't be found", async () => {
+    await setProfile("dave", { intolerances: "egg" });
+    server.mock.respond("/recipes/complexSearch", () => ({ body: { results: [{ id: 5, title: "Mystery" }], offset: 0, number: 1, totalResults: 1 } }));
+    respondWithBulk({});
+
+    const { body } = await as("dave", "/api/searchRecipes?query=mystery");
+    assert.deepEqual(body.results, []);
+    assert.equal(body.dietaryProfile.removed[0].violations[0].rule, "unverified");
+  });
+
+  it("applies the profile to random recipes", async () => {
+    await setProfile("erin", { diet: "gluten free", intolerances: "shellfish" });
+    server.mock.respond("/recipes/random", () => ({
+      body: {
+        recipes: [
+          { id: 6, title: "Shrimp salad", glutenFree: true, vegetarian: false, extendedIngredients: ingredients("shrimp", "lettuce") },
+          { id: 7, title: "Oyster mushroom stir fry", glutenFree: true, vegetarian: true, extendedIngredients: ingredients("oyster mushrooms", "tamari") }
+        ]
+      }
+    }));
+
+    const { body } = await as("erin", "/api/recipes/random?include_tags=dinner&view=card");
+    assert.equal(server.mock.requestsFor("/recipes/random")[0].query["include-tags"], "dinner,gluten free");
+    assert.deepEqual(body.results.map(recipe => recipe.id), [7]);
+    assert.deepEqual(body.dietaryProfile.removed.map(recipe => recipe.id), [6]);
+    assert.equal(server.mock.requestsFor("/recipes/informationBulk").length, 0);
+  });
+
+  it("lowers maxCalories for searchRecipesByNutrients and checks ingredients", async () => {
+    await setProfile("frank", { intolerances: "dairy", maxCalories: 600 });
+    server.mock.respond("/recipes/findByNutrients", () => ({
+      body: [{ id: 8, title: "Cheese toast", calories: 450 }, { id: 9, title: "Bean chili", calories: 500 }]
+    }));
+    respondWithBulk({ 8: { extendedIngredients: ingredients("bread", "cheddar cheese") }, 9: { extendedIngredients: ingredients("kidney beans", "coconut milk") } });
+
+    const { body } = await as("frank", "/api/searchRecipesByNutrients?maxCalories=800&minProtein=10");
+    assert.equal(server.mock.requestsFor("/recipes/findByNutrients")[0].query.maxCalories, "600");
+    assert.deepEqual(body.results.map(recipe => recipe.id), [9]);
+  });
+
+  it("checks searchRecipesByIngredients results on their own ingredient lists", async () => {
+    await setProfile("grace", { intolerances: "tree nut" });
+    server.mock.respond("/recipes/findByIngredients", () => ({
+      body: [
+        { id: 10, title: "Apple crumble", usedIngredients: ingredients("apples"), missedIngredients: ingredients("almond flour") },
+        { id: 11, title: "Apple pie", usedIngredients: ingredients("apples"), missedIngredients: ingredients("flour", "butter") }
+      ]
+    }));
+
+    const { body } = await as("grace", "/api/searchRecipesByIngredients?ingredients=apples");
+    assert.deepEqual(body.results.map(recipe => recipe.id), [11]);
+    assert.equal(server.mock.requestsFor("/recipes/informationBulk").length, 0);
+  });
+
+  it("filters ingredient autocomplete", async () => {
+    await setProfile("heidi", { intolerances: "peanut", excludeIngredients: "cilantro" });
+    server.mock.respond("/food/ingredients/autocomplete", () => ({
+      body: [{ name: "peanut butter" }, { name: "butter" }, { name: "cilantro" }]
+    }));
+
+    const { body } = await as("heidi", "/api/ingredients/autocomplete?query=b&intolerances=dairy");
+    assert.equal(server.mock.requestsFor("/food/ingredients/autocomplete")[0].query.intolerances, "Dairy,Peanut");
+    assert.deepEqual(body.results.map(ingredient => ingredient.name), ["butter"]);
+    assert.deepEqual(body.dietaryProfile.removed.map(ingredient => ingredient.name), ["peanut butter", "cilantro"]);
+  });
+});
+
+describe("dietary profile checks", () => {
+  it("recognizes allergens without false friends", () => {
+    const rules = (name, intolerances) => ingredientViolations(name, { intolerances }).map(violation => violation.value);
+    assert.deepEqual(rules("whole wheat flour", "Gluten,Wheat"), ["Gluten", "Wheat"]);
+    assert.deepEqual(rules("buckwheat flour", "Gluten,Wheat"), []);
+    assert.deepEqual(rules("coconut milk", "Dairy"), []);
+    assert.deepEqual(rules("heavy cream", "Dairy"), ["Dairy"]);
+    assert.deepEqual(rules("eggplant", "Egg"), []);
+    assert.deepEqual(rules("egg yolks", "Egg"), ["Egg"]);
+    assert.deepEqual(rules("oyster mushrooms", "Shellfish,Seafood"), []);
+    assert.deepEqual(rules("almond milk", "Dairy,Tree Nut"), ["Tree Nut"]);
+  });
+
+  it("checks diets against recipe flags and diet tags", () => {
+    const recipe = { vegetarian: true, vegan: false, glutenFree: false, diets: ["lacto ovo vegetarian"], extendedIngredients: [] };
+    assert.deepEqual(recipeViolations(recipe, { diet: "Vegetarian,Lacto-Vegetarian" }), []);
+    assert.deepEqual(recipeViolations(recipe, { diet: "Vegan,Gluten Free" }).map(violation => violation.value), ["Vegan", "Gluten Free"]);
+  });
+
+  it("ANDs the profile's diets with requested alternatives", () => {
+    assert.equal(mergeDiets("Vegan|Pescetarian", "Gluten Free"), "Gluten Free,Vegan|Pescetarian");
+    assert.equal(mergeDiets("Vegan", "Gluten Free"), "Gluten Free,Vegan");
+    assert.equal(mergeDiets(undefined, "Gluten Free"), "Gluten Free");
+  });
+});
@@ -0,0 +1,258 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, TEST_API_KEY } from "./helpers.js";
+
+describe("upstream errors", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      env: { BREAKER_FAILURE_THRESHOLD: "100", UPSTREAM_TIMEOUT_MS: "200" }
+    });
+  });
+
+  afterEach(() => server.mock.reset());
+
+  after(() => server.close());
+
+  // Spoonacular status -> what our clients get
+  const STATUS_MAPPING = [
+    { upstream: 400, status: 400, code: "UPSTREAM_BAD_REQUEST" },
+    { upstream: 401, status: 502, code: "UPSTREAM_AUTH_FAILED" },
+    { upstream: 402, status: 503, code: "UPSTREAM_QUOTA_EXHAUSTED", retryAfter: true },
+    { upstream: 404, status: 404, code: "NOT_FOUND" },
+    { upstream: 429, status: 429, code: "UPSTREAM_RATE_LIMITED", retryAfter: true },
+    { upstream: 500, status: 502, code: "BAD_GATEWAY" },
+    { upstream: 503, status: 503, code: "UPSTREAM_UNAVAILABLE", retryAfter: true }
+  ];
+
+  for (const { upstream, status, code, retryAfter } of STATUS_MAPPING) {
+    it(`answers ${status} ${code} for a Spoonacular ${upstream}`, async () => {
+      server.mock.respond("/recipes/{id}/information", () => ({
+        status: upstream,
+        body: { status: "failure", code: upstream, message: `Upstream said ${upstream}` }
+      }));
+
+      const { status: actual, headers, body } = await server.request(`/api/recipe/${upstream}`);
+      assert.equal(actual, status);
+      assert.equal(body.code, code);
+      assert.equal(body.error, "Failed to fetch recipe details");
+      assert.match(body.details, new RegExp(`\\(${upstream}\\): Upstream said ${upstream}`));
+      if (retryAfter) assert.ok(Number(headers.get("retry-after")) >= 1);
+    });
+  }
+
+  it("passes on Spoonacular's Retry-After", async () => {
+    server.mock.respond("/recipes/{id}/information", () => ({ status: 429, headers: { "Retry-After": "42" }, body: {} }));
+
+    const { status, headers } = await server.request("/api/recipe/3");
+    assert.equal(status, 429);
+    assert.equal(headers.get("retry-after"), "42");
+  });
+
+  it("never echoes the API key from an upstream error body", async () => {
+    server.mock.respond("/recipes/{id}/information", ({ query }) => ({
+      status: 401,
+      body: { message: `API key ${query.apiKey} is not valid (see ?apiKey=${query.apiKey})` }
+    }));
+
+    const { body } = await server.request("/api/recipe/4");
+    assert.equal(body.code, "UPSTREAM_AUTH_FAILED");
+    assert.ok(!JSON.stringify(body).includes(TEST_API_KEY));
+    assert.match(body.details, /\[REDACTED\]/);
+  });
+
+  it("maps form POST failures the same way", async () => {
+    server.mock.respond("/recipes/cuisine", () => ({ status: 500, body: {} }));
+
+    const { status, body } = await server.request("/api/recipes/classifyCuisine", {
+      method: "POST",
+      body: { title: "Pasta", ingredientList: "pasta" }
+    });
+    assert.equal(status, 502);
+    assert.equal(body.code, "BAD_GATEWAY");
+    assert.equal(body.error, "Failed to classify cuisine");
+  });
+
+  it("answers 504 when Spoonacular does not respond in time", async () => {
+    server.mock.respond("/recipes/{id}/equipmentWidget.json", async () => {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      return { body: {} };
+    });
+
+    const { status, body } = await server.request("/api/recipe/2/equipment");
+    assert.equal(status, 504);
+    assert.equal(body.code, "UPSTREAM_TIMEOUT");
+  });
+
+  it("answers 504 when the response body does not arrive in time", async () => {
+    server.mock.respond("/recipes/{id}/equipmentWidget.json", () => ({ body: { equipment: [] }, bodyDelayMs: 500 }));
+
+    const { status, body } = await server.request("/api/recipe/3/equipment");
+    assert.equal(status, 504);
+    assert.equal(body.code, "UPSTREAM_TIMEOUT");
+  });
+
+  it("answers 404 for unknown routes", async () => {
+    const { status, body } = await server.request("/api/nothing-here");
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: "Not found", code: "NOT_FOUND", details: "Cannot GET /api/nothing-here" });
+  });
+
+  it("answers 400 VALIDATION_ERROR for a body that isn't JSON", async () => {
+    const response = await fetch(`${server.baseUrl}/api/recipes/analyze`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{bad"
+    });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.code, "VALIDATION_ERROR");
+    assert.deepEqual(body.details, [{ in: "body", field: "body", message: "must be valid JSON" }]);
+  });
+});
+
+describe("unreachable upstream", () => {
+  let server;
+
+  before(async () => {
+    // Nothing listens on port 1
+    server = await startTestServer({ env: { SPOONACULAR_BASE_URL: "http://127.0.0.1:1" } });
+  });
+
+  after(() => server.close());
+
+  it("answers 502 without the API key from the failed URL", async () => {
+    const { status, body } = await server.request("/api/recipe/716429");
+    assert.equal(status, 502);
+    assert.equal(body.code, "UPSTREAM_UNREACHABLE");
+    assert.ok(!JSON.stringify(body).includes(TEST_API_KEY));
+  });
+});
+
+describe("daily budget", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      env: { SPOONACULAR_DAILY_BUDGET: "1", QUOTA_BUDGET_MODE: "cache-only" }
+    });
+  });
+
+  after(() => server.close());
+
+  it("serves cache hits but refuses upstream calls once the budget is spent", async () => {
+    assert.equal((await server.request("/api/recipe/716429")).status, 200);
+
+    const cached = await server.request("/api/recipe/716429");
+    assert.equal(cached.status, 200);
+    assert.equal(cached.body.fromCache, true);
+
+    const refused = await server.request("/api/recipe/715538");
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, "QUOTA_EXCEEDED");
+    assert.ok(Number(refused.headers.get("retry-after")) > 0);
+  });
+});
+
+describe("retries", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      env: { UPSTREAM_MAX_RETRIES: "2", UPSTREAM_RETRY_BASE_MS: "1", UPSTREAM_RETRY_MAX_MS: "20", BREAKER_FAILURE_THRESHOLD: "100" }
+    });
+  });
+
+  afterEach(() => server.mock.reset());
+
+  after(() => server.close());
+
+  // Fail the first `failures` calls with `status`, then serve the fixture's stand-in
+  function failingThen(failures, status, headers) {
+    let calls = 0;
+    return () => (++calls <= failures ? { status, headers, body: { message: "busy" } } : { body: { id: 1, title: "Recovered" } });
+  }
+
+  it("retries GETs on 503 and 429 until one succeeds", async () => {
+    server.mock.respond("/recipes/{id}/information", failingThen(2, 503));
+
+    const { status, body } = await server.request("/api/recipe/11");
+    assert.equal(status, 200);
+    assert.equal(body.title, "Recovered");
+    assert.equal(server.mock.requestsFor("/recipes/{id}/information").length, 3);
+    assert.ok((await server.request("/api/health")).body.upstream.retries >= 2);
+  });
+
+  it("gives up after UPSTREAM_MAX_RETRIES", async () => {
+    server.mock.respond("/recipes/{id}/information", failingThen(10, 429));
+
+    const { status } = await server.request("/api/recipe/12");
+    assert.equal(status, 429);
+    assert.equal(server.mock.requestsFor("/recipes/{id}/information").length, 3);
+  });
+
+  it("doesn't retry a Retry-After longer than the backoff ceiling", async () => {
+    server.mock.respond("/recipes/{id}/information", failingThen(1, 503, { "Retry-After": "30" }));
+
+    const { status, headers } = await server.request("/api/recipe/13");
+    assert.equal(status, 503);
+    assert.equal(headers.get("retry-after"), "30");
+    assert.equal(server.mock.requestsFor("/recipes/{id}/information").length, 1);
+  });
+
+  it("doesn't retry other errors or form POSTs", async () => {
+    server.mock.respond("/recipes/{id}/information", failingThen(1, 500));
+    assert.equal((await server.request("/api/recipe/14")).status, 502);
+    assert.equal(server.mock.requestsFor("/recipes/{id}/information").length, 1);
+
+    server.mock.respond("/recipes/cuisine", failingThen(1, 503));
+    const { status } = await server.request("/api/recipes/classifyCuisine", { method: "POST", body: { title: "Pasta", ingredientList: "pasta" } });
+    assert.equal(status, 503);
+    assert.equal(server.mock.requestsFor("/recipes/cuisine").length, 1);
+  });
+});
+
+describe("circuit breaker", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ env: { BREAKER_FAILURE_THRESHOLD: "3", BREAKER_COOLDOWN_MS: "500" } });
+  });
+
+  afterEach(() => server.mock.reset());
+
+  after(() => server.close());
+
+  it("opens after repeated failures, fails fast, then closes after a successful trial", async () => {
+    server.mock.respond("/recipes/{id}/information", () => ({ status: 500, body: { message: "boom" } }));
+    for (const id of [21, 22, 23]) assert.equal((await server.request(`/api/recipe/${id}`)).status, 502);
+
+    const health = (await server.request("/api/health")).body;
+    assert.equal(health.status, "degraded");
+    assert.equal(health.upstream.circuit, "open");
+
+    // Open: answered without calling Spoonacular
+    const rejected = await server.request("/api/recipe/24");
+    assert.equal(rejected.status, 503);
+    assert.equal(rejected.body.code, "UPSTREAM_UNAVAILABLE");
+    assert.ok(Number(rejected.headers.get("retry-after")) >= 1);
+    assert.equal(server.mock.requestsFor("/recipes/{id}/information").length, 3);
+
+    // After the cooldown one trial goes through and closes it again
+    server.mock.reset();
+    await new Promise(resolve => setTimeout(resolve, 550));
+    assert.equal((await server.request("/api/recipe/716429")).status, 200);
+    assert.equal((await server.request("/api/health")).body.upstream.circuit, "closed");
+  });
+
+  it("opens again at once when the trial fails", async () => {
+    server.mock.respond("/recipes/{id}/information", () => ({ status: 503, body: {} }));
+    for (const id of [31, 32, 33]) await server.request(`/api/recipe/${id}`);
+    await new Promise(resolve => setTimeout(resolve, 550));
+
+    await server.request("/api/recipe/34");
+    assert.equal((await server.request("/api/health")).body.upstream.circuit, "open");
+    assert.equal(server.mock.requestsFor("/recipes/{id}/information").length, 4);
+  });
+});
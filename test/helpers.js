@@ -0,0 +1,68 @@
+import path from "path";
+import os from "os";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { createApp } from "../app.js";
+import { startMockSpoonacular } from "./mockSpoonacular.js";
+
+export const TEST_API_KEY = "test-spoonacular-key";
+export const ADMIN_TOKEN = "test-admin-token";
+
+// Start the mock Spoonacular plus the app pointed at it, on free ports and
+// with a throwaway DATA_DIR. `env` adds to or overrides the test environment;
+// `clients` are issued client keys (see lib/clients.js), required once given.
+export async function startTestServer({ env = {}, clients } = {}) {
+  const mock = await startMockSpoonacular();
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), "spoonacular-test-"));
+  const clientKeysFile = path.join(dataDir, "clients.json");
+  if (clients) await writeFile(clientKeysFile, JSON.stringify({ clients }));
+
+  const app = await createApp({
+    env: {
+      SPOONACULAR_API_KEY: TEST_API_KEY,
+      SPOONACULAR_BASE_URL: mock.url,
+      DATA_DIR: dataDir,
+      ADMIN_TOKEN,
+      UPSTREAM_MAX_RETRIES: "0",
+      UPSTREAM_TIMEOUT_MS: "2000",
+      CACHE_STALE_GRACE: "0",
+      LOG_LEVEL: "error",
+      ...(clients && { CLIENT_KEYS_FILE: clientKeysFile }),
+      ...env
+    }
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    app,
+    mock,
+    baseUrl,
+    // fetch against the app; resolves to { status, headers, body }
+    async request(urlPath, { method = "GET", body, headers = {}, admin = false } = {}) {
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { "Content-Type": "application/json" }),
+          ...(admin && { Authorization: `Bearer ${ADMIN_TOKEN}` }),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        parsed = text;
+      }
+      return { status: response.status, headers: response.headers, body: parsed };
+    },
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await mock.close();
+      await rm(dataDir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,92 @@
+import http from "http";
+import path from "path";
+import { readFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import { routeFromUrl } from "../lib/quota.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// Points of the free plan, for X-API-Quota-Left
+const DAILY_POINTS = 150;
+
+// Fixture file for a Spoonacular route: numeric path segments become "id",
+// slashes become underscores - /recipes/716429/information -> recipes_id_information.json,
+// /recipes/716429/tasteWidget.json -> recipes_id_tasteWidget.json
+export function fixtureName(route) {
+  return `${route.slice(1).replace(/\{id\}/g, "id").replace(/\//g, "_").replace(/\.json$/, "")}.json`;
+}
+
+// Local stand-in for api.spoonacular.com serving the recorded fixtures.
+// Every request is kept in `requests` so tests can assert what reached
+// "upstream"; `respond(route, handler)` overrides a route, where the handler
+// gets the request record and returns { status, headers, body, bodyDelayMs }
+// (bodyDelayMs sends the headers first and holds the body back).
+export async function startMockSpoonacular({ pointsPerRequest = 1 } = {}) {
+  const requests = [];
+  const overrides = new Map();
+  let pointsUsed = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const record = {
+      method: req.method,
+      route: routeFromUrl(url.href),
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body: Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString()))
+    };
+    requests.push(record);
+
+    pointsUsed += pointsPerRequest;
+    const quotaHeaders = {
+      "X-API-Quota-Request": String(pointsPerRequest),
+      "X-API-Quota-Used": String(pointsUsed),
+      "X-API-Quota-Left": String(Math.max(0, DAILY_POINTS - pointsUsed))
+    };
+
+    let reply;
+    if (overrides.has(record.route)) {
+      reply = await overrides.get(record.route)(record);
+    } else {
+      try {
+        reply = { body: JSON.parse(await readFile(path.join(FIXTURES_DIR, fixtureName(record.route)), "utf8")) };
+      } catch {
+        reply = { status: 404, body: { status: "failure", code: 404, message: `No fixture for ${record.route}` } };
+      }
+    }
+
+    res.writeHead(reply.status || 200, {
+      "Content-Type": "application/json",
+      ...quotaHeaders,
+      ...reply.headers
+    });
+    if (reply.bodyDelayMs) {
+      res.flushHeaders();
+      await new Promise(resolve => setTimeout(resolve, reply.bodyDelayMs));
+    }
+    res.end(JSON.stringify(reply.body ?? {}));
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    respond(route, handler) {
+      overrides.set(route, handler);
+    },
+    // Requests that reached the mock for one route (e.g. "/recipes/{id}/information")
+    requestsFor(route) {
+      return requests.filter(request => request.route === route);
+    },
+    reset() {
+      requests.length = 0;
+      overrides.clear();
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,76 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { configureLogger } from "../lib/logger.js";
+import { startTestServer, TEST_API_KEY } from "./helpers.js";
+
+describe("logging and metrics", () => {
+  let server;
+  let lines;
+
+  before(async () => {
+    server = await startTestServer();
+    configureLogger({ level: "debug", write: line => lines.push(line) });
+  });
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  after(() => server.close());
+
+  const logs = () => lines.map(line => JSON.parse(line));
+
+  it("generates a request ID or echoes a valid one", async () => {
+    const generated = await server.request("/api/health");
+    assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+    const given = await server.request("/api/health", { headers: { "X-Request-Id": "trace-42" } });
+    assert.equal(given.headers.get("x-request-id"), "trace-42");
+
+    const invalid = await server.request("/api/health", { headers: { "X-Request-Id": "not valid!" } });
+    assert.notEqual(invalid.headers.get("x-request-id"), "not valid!");
+  });
+
+  it("writes JSON logs tagged with the request ID and without the API key", async () => {
+    await server.request("/api/recipe/716429", { headers: { "X-Request-Id": "log-test" } });
+
+    const entries = logs();
+    assert.ok(entries.some(entry => entry.msg === "Fetching from API" && entry.requestId === "log-test"));
+    const access = entries.find(entry => entry.msg === "Request");
+    assert.equal(access.requestId, "log-test");
+    assert.equal(access.route, "/api/recipe/:id");
+    assert.equal(access.status, 200);
+    assert.equal(typeof access.durationMs, "number");
+    assert.ok(!lines.join("\n").includes(TEST_API_KEY));
+  });
+
+  it("logs batch sub-requests under the batch's request ID", async () => {
+    await server.request("/api/batch", {
+      method: "POST",
+      headers: { "X-Request-Id": "batch-1" },
+      body: { requests: [{ method: "GET", path: "/api/health" }, { method: "GET", path: "/api/recipe/716429" }] }
+    });
+
+    const requestIds = logs().filter(entry => entry.msg === "Request").map(entry => entry.requestId).sort();
+    assert.deepEqual(requestIds, ["batch-1", "batch-1.0", "batch-1.1"]);
+  });
+
+  it("exposes Prometheus metrics", async () => {
+    await server.request("/api/recipe/715538");
+    await server.request("/api/recipe/715538");
+    await server.request("/api/nope");
+
+    const { status, headers, body } = await server.request("/metrics");
+    assert.equal(status, 200);
+    assert.match(headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(body, /^http_requests_total\{method="GET",route="\/api\/recipe\/:id",status="200"\} \d+$/m);
+    assert.match(body, /^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+    assert.match(body, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/recipe\/:id",le="\+Inf"\} \d+$/m);
+    assert.match(body, /^spoonacular_requests_total\{route="\/recipes\/\{id\}\/information",status="200"\} \d+$/m);
+    assert.match(body, /^spoonacular_request_duration_seconds_count\{route="\/recipes\/\{id\}\/information"\} \d+$/m);
+    assert.match(body, /^cache_lookups_total\{result="hit"\} [1-9]\d*$/m);
+    assert.match(body, /^cache_hit_ratio 0?\.?\d+/m);
+    assert.match(body, /^spoonacular_quota_points_used_today \d+/m);
+    assert.match(body, /^spoonacular_circuit_open 0$/m);
+  });
+});
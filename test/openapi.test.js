@@ -0,0 +1,106 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PLAN_FIELDS } from "../lib/mealPlanner.js";
+import { listRoutes } from "../lib/openapi.js";
+import { RECIPE_VIEW_QUERY } from "../lib/recipeViews.js";
+import { COMPLEX_SEARCH_QUERY } from "../lib/searchOptions.js";
+import { SHOPPING_LIST_FIELDS } from "../lib/shoppingList.js";
+import { startTestServer } from "./helpers.js";
+
+describe("OpenAPI document", () => {
+  let server;
+  let spec;
+
+  before(async () => {
+    server = await startTestServer();
+    spec = (await server.request("/api/openapi.json")).body;
+  });
+
+  after(() => server.close());
+
+  const operation = (method, path) => spec.paths[path]?.[method];
+
+  it("is a public OpenAPI 3 document", () => {
+    assert.match(spec.openapi, /^3\./);
+    assert.equal(operation("get", "/api/openapi.json").security.length, 0);
+  });
+
+  it("documents every mounted route with a summary", () => {
+    const routes = listRoutes(server.app);
+    assert.ok(routes.length >= 40);
+    for (const { method, path } of routes) {
+      const documented = operation(method, path.replace(/:(\w+)/g, "{$1}"));
+      assert.ok(documented, `${method.toUpperCase()} ${path} is missing`);
+      assert.ok(documented.summary, `${method.toUpperCase()} ${path} has no summary`);
+    }
+  });
+
+  it("gives every operation a unique operationId", () => {
+    const ids = Object.values(spec.paths).flatMap(Object.values).map(op => op.operationId);
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it("resolves every schema reference", () => {
+    const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g);
+    for (const ref of new Set(refs)) {
+      assert.ok(spec.components.schemas[ref.split("/").pop()], `${ref} is not defined`);
+    }
+  });
+
+  it("takes parameters from the validation schemas", () => {
+    const search = operation("get", "/api/searchRecipes");
+    assert.deepEqual(search.parameters.filter(param => param.in === "query").map(param => param.name).sort(), Object.keys({ ...COMPLEX_SEARCH_QUERY, ...RECIPE_VIEW_QUERY }).sort());
+    assert.deepEqual(search.parameters.filter(param => param.in === "header").map(param => [param.name, param.required]), [["x-user-id", false]]);
+    assert.deepEqual(search.parameters.find(param => param.name === "number").schema, { type: "integer", minimum: 1, maximum: 100, default: 12 });
+
+    const recipe = operation("get", "/api/recipe/{id}");
+    assert.deepEqual(recipe.parameters[0], { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } });
+    assert.deepEqual(recipe.parameters.slice(1).map(param => param.name), ["view", "fields"]);
+
+    const analyze = operation("post", "/api/recipes/analyze").requestBody.content["application/json"].schema;
+    assert.deepEqual(analyze.required, ["title", "servings", "ingredients", "instructions"]);
+    assert.ok(operation("post", "/api/recipes/analyze").responses["400"]);
+  });
+
+  it("documents request bodies as they are validated", () => {
+    const body = (method, path) => operation(method, path).requestBody.content["application/json"].schema;
+
+    const shoppingList = body("post", "/api/shoppingList");
+    assert.deepEqual(shoppingList.properties.recipes.items.properties.servings, { type: "number", minimum: 1, maximum: 100 });
+    assert.deepEqual(Object.keys(shoppingList.properties), Object.keys(SHOPPING_LIST_FIELDS));
+    assert.deepEqual(shoppingList.properties.pantry.items.oneOf.map(schema => schema.type), ["string", "object"]);
+
+    const plan = body("post", "/api/mealPlans");
+    assert.deepEqual(Object.keys(plan.properties), Object.keys(PLAN_FIELDS));
+    assert.deepEqual(plan.properties.timeFrame, { type: "string", enum: ["day", "week"] });
+
+    const swap = operation("post", "/api/mealPlans/{id}/days/{day}/meals/{slot}/swap");
+    assert.deepEqual(swap.parameters.find(param => param.name === "slot").schema.enum, ["breakfast", "lunch", "dinner"]);
+    assert.equal(swap.requestBody.content["application/json"].schema.properties.recipeId.minimum, 1);
+  });
+
+  it("wraps proxied responses in the cache envelope", async () => {
+    const schema = operation("get", "/api/recipe/{id}").responses["200"].content["application/json"].schema;
+    assert.deepEqual(schema.allOf[0], { $ref: "#/components/schemas/CacheEnvelope" });
+    assert.deepEqual(schema.allOf[1].oneOf[0], { $ref: "#/components/schemas/Recipe" });
+
+    const { body } = await server.request("/api/recipe/716429");
+    for (const field of spec.components.schemas.CacheEnvelope.required) assert.ok(field in body, `${field} is missing`);
+
+    const plans = operation("get", "/api/mealPlans").responses["200"].content["application/json"].schema;
+    assert.equal(plans.allOf, undefined);
+  });
+
+  it("requires admin credentials for admin routes", () => {
+    const security = operation("get", "/api/cache/stats").security;
+    assert.ok(security.some(scheme => "adminBearer" in scheme));
+    assert.equal(operation("get", "/api/health").security.length, 0);
+  });
+
+  it("serves the interactive docs page", async () => {
+    const response = await fetch(`${server.baseUrl}/api/docs`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/html/);
+    assert.match(await response.text(), /\/api\/openapi\.json/);
+  });
+});
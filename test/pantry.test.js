@@ -0,0 +1,171 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { estimateCost, findPantryItem, rankRecipes } from "../lib/pantry.js";
+import { startTestServer } from "./helpers.js";
+
+// YYYY-MM-DD `days` from today (UTC)
+function inDays(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+const ingredient = (name, amount = 1, unit = "") => ({ id: null, name, amount, unit });
+
+describe("/api/pantry", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(() => server.mock.reset());
+
+  after(() => server.close());
+
+  const as = (userId, urlPath, options = {}) =>
+    server.request(urlPath, { ...options, headers: { "X-User-Id": userId, ...options.headers } });
+
+  it("stores a user's pantry, soonest-expiring first", async () => {
+    const empty = await as("alice", "/api/pantry");
+    assert.deepEqual(empty.body, { items: [], expired: [], updatedAt: null });
+
+    await as("alice", "/api/pantry", { method: "PUT", body: { items: [{ name: "Rice" }, { name: "milk", expiresOn: inDays(-1) }] } });
+    const added = await as("alice", "/api/pantry/items", {
+      method: "POST",
+      body: { items: [{ name: "spinach", amount: 200, unit: "g", expiresOn: inDays(1) }, { name: "rice", amount: 500, unit: "g" }] }
+    });
+    assert.equal(added.status, 200);
+    assert.deepEqual(added.body.items.map(({ name, amount, daysLeft, expiringSoon }) => [name, amount, daysLeft, expiringSoon]), [
+      ["spinach", 200, 1, true],
+      ["rice", 500, null, false]
+    ]);
+    assert.deepEqual(added.body.expired.map(item => item.name), ["milk"]);
+
+    const removed = await as("alice", "/api/pantry/items/spinach", { method: "DELETE" });
+    assert.deepEqual(removed.body.items.map(item => item.name), ["rice"]);
+    assert.equal((await as("alice", "/api/pantry/items/spinach", { method: "DELETE" })).status, 404);
+
+    assert.deepEqual((await as("bob", "/api/pantry")).body.items, []);
+  });
+
+  it("keeps every item of concurrent first additions", async () => {
+    const added = await Promise.all(["egg", "milk"].map(name => as("frank", "/api/pantry/items", { method: "POST", body: { items: [{ name }] } })));
+    assert.deepEqual(added.map(response => response.status), [200, 200]);
+    assert.deepEqual((await as("frank", "/api/pantry")).body.items.map(item => item.name), ["egg", "milk"]);
+    assert.equal((await server.app.locals.services.pantries.list()).filter(record => record.userId === "frank").length, 1);
+  });
+
+  it("validates pantry items", async () => {
+    const { status, body } = await as("alice", "/api/pantry/items", { method: "POST", body: { items: [{ name: "eggs", expiresOn: "2024-02-30" }] } });
+    assert.equal(status, 400);
+    assert.equal(body.code, "VALIDATION_ERROR");
+    assert.equal((await server.request("/api/pantry")).status, 400);
+  });
+
+  it("refuses suggestions for an empty pantry", async () => {
+    const { status, body } = await as("carol", "/api/pantry/recipes");
+    assert.equal(status, 409);
+    assert.equal(body.code, "PANTRY_EMPTY");
+    assert.equal(server.mock.requests.length, 0);
+  });
+
+  it("ranks recipes by pantry use and expiring items, with substitutes and cost", async () => {
+    await as("dave", "/api/pantry", {
+      method: "PUT",
+      body: {
+        items: [
+          { name: "spinach", expiresOn: inDays(1) },
+          { name: "eggs", amount: 2 },
+          { name: "garlic" },
+          { name: "rice", expiresOn: inDays(20) },
+          { name: "olive oil" },
+          { name: "milk", expiresOn: inDays(-2) }
+        ]
+      }
+    });
+
+    server.mock.respond("/recipes/findByIngredients", () => ({
+      body: [
+        { id: 1, title: "Garlic rice", likes: 50, usedIngredients: [ingredient("garlic"), ingredient("rice", 1, "cup")], missedIngredients: [ingredient("pasta")] },
+        { id: 2, title: "Spinach omelette", likes: 5, usedIngredients: [ingredient("spinach", 2, "cups"), ingredient("eggs", 3)], missedIngredients: [ingredient("butter", 1, "tbsp")] },
+        { id: 3, title: "Garlic cake", likes: 500, usedIngredients: [ingredient("garlic")], missedIngredients: [ingredient("flour"), ingredient("butter"), ingredient("sugar")] }
+      ]
+    }));
+    server.mock.respond("/food/ingredients/substitutes", ({ query }) => ({
+      body: query.ingredientName === "butter"
+        ? { ingredient: "butter", substitutes: ["1 cup = 7/8 cup olive oil", "1 cup = 1 cup margarine"], status: "success" }
+        : { status: "failure", message: "Could not find any substitutes for that ingredient." }
+    }));
+    server.mock.respond("/recipes/{id}/priceBreakdownWidget.json", () => ({
+      body: { ingredients: [{ name: "eggs", price: 60 }, { name: "butter", price: 100 }, { name: "spinach", price: 80 }], totalCost: 240 }
+    }));
+
+    const { status, body } = await as("dave", "/api/pantry/recipes");
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(recipe => recipe.id), [2, 1, 3]);
+    assert.deepEqual(body.expiringSoon, ["spinach"]);
+    assert.deepEqual(body.expired, ["milk"]);
+
+    // Expired items aren't sent upstream; names are sorted for the cache key
+    const [search] = server.mock.requestsFor("/recipes/findByIngredients");
+    assert.deepEqual(
+      { ingredients: search.query.ingredients, number: search.query.number, ranking: search.query.ranking, ignorePantry: search.query.ignorePantry },
+      { ingredients: "eggs,garlic,olive oil,rice,spinach", number: "30", ranking: "1", ignorePantry: "true" }
+    );
+
+    const [omelette] = body.results;
+    assert.deepEqual(omelette.expiringItemsUsed, ["spinach"]);
+    assert.equal(omelette.usedIngredients.find(line => line.name === "eggs").enough, false);
+    assert.deepEqual(omelette.missingIngredients.map(({ name, amount, reason }) => [name, amount, reason]), [["eggs", 1, "short"], ["butter", 1, "missing"]]);
+    const butter = omelette.missingIngredients[1];
+    assert.deepEqual(butter.substitutes, ["1 cup = 7/8 cup olive oil", "1 cup = 1 cup margarine"]);
+    assert.deepEqual(butter.pantrySubstitutes, ["1 cup = 7/8 cup olive oil"]);
+    // A third of the eggs plus the butter
+    assert.deepEqual(omelette.estimatedCost, { toBuyCents: 120, recipeTotalCents: 240, unpriced: [] });
+    assert.deepEqual(body.results[1].estimatedCost.unpriced, ["pasta"]);
+
+    // One substitutes lookup per missing ingredient across all results
+    assert.deepEqual(server.mock.requestsFor("/food/ingredients/substitutes").map(request => request.query.ingredientName).sort(), ["butter", "eggs", "flour", "pasta", "sugar"]);
+    assert.equal(server.mock.requestsFor("/recipes/{id}/priceBreakdownWidget.json").length, 3);
+  });
+
+  it("skips substitutes and cost on request and serves repeats from cache", async () => {
+    await as("erin", "/api/pantry", { method: "PUT", body: { items: [{ name: "garlic" }] } });
+
+    const first = await as("erin", "/api/pantry/recipes?substitutes=false&cost=false&number=1");
+    const second = await as("erin", "/api/pantry/recipes?substitutes=false&cost=false&number=1");
+    assert.equal(first.body.results.length, 1);
+    assert.equal(first.body.results[0].estimatedCost, undefined);
+    assert.equal(first.body.fromCache, false);
+    assert.equal(second.body.fromCache, true);
+    assert.deepEqual(server.mock.requests.map(request => request.route), ["/recipes/findByIngredients"]);
+
+    const direct = await server.request("/api/searchRecipesByIngredients?ingredients=Garlic&number=30&ignorePantry=true");
+    assert.equal(direct.body.fromCache, true);
+  });
+});
+
+describe("pantry ranking", () => {
+  it("matches pantry items by name and plural, not by prefix", () => {
+    const pantry = [{ name: "egg" }, { name: "garlic" }];
+    assert.equal(findPantryItem(pantry, "Eggs").name, "egg");
+    assert.equal(findPantryItem(pantry, "garlic cloves").name, "garlic");
+    assert.equal(findPantryItem(pantry, "eggplant"), undefined);
+  });
+
+  it("only compares amounts in the same unit", () => {
+    const [recipe] = rankRecipes([{ id: 1, usedIngredients: [ingredient("flour", 2, "cups"), ingredient("milk", 300, "ml")] }], [
+      { name: "flour", amount: 1, unit: "cup" },
+      { name: "milk", amount: 1, unit: "l" }
+    ]);
+    assert.deepEqual(recipe.usedIngredients.map(line => line.enough), [false, null]);
+    assert.deepEqual(recipe.missingIngredients.map(({ name, amount, pantryAmount }) => [name, amount, pantryAmount]), [["flour", 1, 1]]);
+  });
+
+  it("lists missing ingredients without a price", () => {
+    assert.deepEqual(estimateCost({ ingredients: [{ name: "tomatoes", price: 90 }] }, [ingredient("tomato"), ingredient("basil")]), {
+      toBuyCents: 90,
+      recipeTotalCents: null,
+      unpriced: ["basil"]
+    });
+  });
+});
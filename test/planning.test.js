@@ -0,0 +1,132 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+describe("shopping list", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it("merges ingredients across recipes and subtracts the pantry", async () => {
+    const { status, body } = await server.request("/api/shoppingList", {
+      method: "POST",
+      body: { recipes: [{ id: 716429 }, { id: 715538 }], pantry: ["pasta"] }
+    });
+
+    assert.equal(status, 200);
+    const items = body.aisles.flatMap(aisle => aisle.items);
+    const garlic = items.find(item => item.name === "garlic");
+    assert.equal(garlic.amount, 7);
+    assert.deepEqual(garlic.recipeIds, [716429, 715538]);
+    // 2 tablespoons + 1 tablespoon, merged without a conversion
+    assert.equal(items.find(item => item.name === "olive oil").amount, 3);
+    assert.equal(body.coveredByPantry[0].name, "pasta");
+  });
+
+  it("answers 404 for recipes Spoonacular does not know", async () => {
+    const { status, body } = await server.request("/api/shoppingList", {
+      method: "POST",
+      body: { ids: [716429, 1] }
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, "NOT_FOUND");
+    assert.deepEqual(body.details, [1]);
+  });
+});
+
+describe("meal plans", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it("generates, stores and deletes a plan", async () => {
+    const created = await server.request("/api/mealPlans", { method: "POST", body: { timeFrame: "day", diet: "vegetarian" } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.days.length, 1);
+    assert.equal(created.body.days[0].meals.length, 3);
+    assert.equal(created.body.days[0].totals.calories, 584 * 3);
+
+    const search = server.mock.requestsFor("/recipes/complexSearch")[0];
+    assert.equal(search.query.diet, "Vegetarian");
+
+    const list = await server.request("/api/mealPlans");
+    assert.deepEqual(list.body.results.map(plan => plan.id), [created.body.id]);
+
+    const deleted = await server.request(`/api/mealPlans/${created.body.id}`, { method: "DELETE" });
+    assert.equal(deleted.status, 200);
+    const missing = await server.request(`/api/mealPlans/${created.body.id}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, "NOT_FOUND");
+  });
+
+  it("swaps a meal for a given recipe", async () => {
+    server.mock.respond("/recipes/{id}/information", ({ path }) => ({
+      body: { id: Number(path.split("/")[2]), title: "Bruschetta Style Pork & Pasta", servings: 5 }
+    }));
+
+    const { body: plan } = await server.request("/api/mealPlans", { method: "POST", body: {} });
+    const { status, body } = await server.request(`/api/mealPlans/${plan.id}/days/1/meals/lunch/swap`, {
+      method: "POST",
+      body: { recipeId: 715538 }
+    });
+
+    assert.equal(status, 200);
+    const lunch = body.days[0].meals.find(meal => meal.slot === "lunch");
+    assert.equal(lunch.recipeId, 715538);
+    assert.equal(lunch.title, "Bruschetta Style Pork & Pasta");
+  });
+
+  it("answers 422 when no recipe matches a slot", async () => {
+    server.mock.respond("/recipes/complexSearch", () => ({ body: { results: [], totalResults: 0 } }));
+
+    const { status, body } = await server.request("/api/mealPlans", { method: "POST", body: { diet: "vegan" } });
+    assert.equal(status, 422);
+    assert.equal(body.code, "NO_MATCHING_RECIPES");
+  });
+});
+
+describe("meal plan ownership", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ clients: [{ name: "web", key: "web-key" }, { name: "mobile", key: "mobile-key" }] });
+  });
+
+  after(() => server.close());
+
+  const as = (key, urlPath, options = {}) =>
+    server.request(urlPath, { ...options, headers: { "X-API-Key": key, ...options.headers } });
+
+  it("keeps plans to the client and user that created them", async () => {
+    const { body: plan } = await as("web-key", "/api/mealPlans", { method: "POST", body: { timeFrame: "day" } });
+    const { body: alicePlan } = await as("web-key", "/api/mealPlans", { method: "POST", body: {}, headers: { "X-User-Id": "alice" } });
+
+    assert.deepEqual((await as("web-key", "/api/mealPlans")).body.results.map(summary => summary.id), [plan.id]);
+    assert.equal((await as("web-key", `/api/mealPlans/${plan.id}`)).status, 200);
+    assert.equal(plan.client, undefined);
+
+    // Another client sees none of them
+    assert.deepEqual((await as("mobile-key", "/api/mealPlans")).body.results, []);
+    const other = await as("mobile-key", `/api/mealPlans/${plan.id}`);
+    assert.equal(other.status, 404);
+    assert.equal(other.body.code, "NOT_FOUND");
+    assert.equal((await as("mobile-key", `/api/mealPlans/${plan.id}/days/1/meals/lunch/swap`, { method: "POST", body: {} })).status, 404);
+    assert.equal((await as("mobile-key", `/api/mealPlans/${plan.id}`, { method: "DELETE" })).status, 404);
+
+    // Nor does the same client for another user
+    const aliceOnly = await as("web-key", "/api/mealPlans", { headers: { "X-User-Id": "alice" } });
+    assert.deepEqual(aliceOnly.body.results.map(summary => summary.id), [alicePlan.id]);
+    assert.equal((await as("web-key", `/api/mealPlans/${alicePlan.id}`, { headers: { "X-User-Id": "bob" } })).status, 404);
+
+    // The refused delete left the plan in place
+    assert.equal((await as("web-key", `/api/mealPlans/${plan.id}`)).status, 200);
+  });
+});
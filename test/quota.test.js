@@ -0,0 +1,49 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import os from "os";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { Headers } from "node-fetch";
+import { createQuotaTracker, today } from "../lib/quota.js";
+
+const spent = points => new Headers({ "X-API-Quota-Request": String(points) });
+
+describe("file-backed quota ledger", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), "spoonacular-quota-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("loads an existing ledger once for concurrent first calls", async () => {
+    const file = path.join(dir, "quota.json");
+    await createQuotaTracker({ file }).record("/recipes/complexSearch", spent(1));
+
+    const tracker = createQuotaTracker({ file, budget: 10 });
+    await Promise.all([
+      tracker.assertCanSpend(),
+      tracker.record("/recipes/complexSearch", spent(2)),
+      tracker.record("/recipes/{id}/information", spent(3))
+    ]);
+
+    const { pointsUsedToday, routes } = await tracker.report();
+    assert.equal(pointsUsedToday, 6);
+    assert.deepEqual(routes, {
+      "/recipes/complexSearch": { points: 3, requests: 2 },
+      "/recipes/{id}/information": { points: 3, requests: 1 }
+    });
+    assert.equal(JSON.parse(await readFile(file, "utf8")).days[today()].points, 6);
+  });
+
+  it("reads the ledger again after a failed load", async () => {
+    const file = path.join(dir, "corrupt.json");
+    await writeFile(file, "{not json");
+    const tracker = createQuotaTracker({ file, budget: 10 });
+    await assert.rejects(tracker.assertCanSpend(), SyntaxError);
+
+    await writeFile(file, JSON.stringify({ days: { [today()]: { points: 10, requests: 10, routes: {} } }, upstream: null }));
+    await assert.rejects(tracker.assertCanSpend(), { code: "QUOTA_EXCEEDED" });
+  });
+});
@@ -0,0 +1,104 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { convertIngredient, scaleRecipe } from "../lib/recipeScaling.js";
+import { startTestServer } from "./helpers.js";
+
+// 1 cup of anything weighs 120 g; nothing else converts
+const convert = async (name, amount, sourceUnit, targetUnit) =>
+  sourceUnit === "cups" && targetUnit === "grams" ? amount * 120 : null;
+
+describe("convertIngredient", () => {
+  const CASES = [
+    { name: "weights by fixed factor", ingredient: { amount: 8, unit: "oz" }, system: "metric", expected: { amount: 227, unit: "gram", method: "fixed" } },
+    { name: "large weights to kilograms", ingredient: { amount: 3, unit: "lbs" }, system: "metric", expected: { amount: 1.36, unit: "kilogram", method: "fixed" } },
+    { name: "metric volumes to US", ingredient: { amount: 250, unit: "ml" }, system: "us", expected: { amount: 1.06, unit: "cup", method: "fixed" } },
+    { name: "grams to pounds", ingredient: { amount: 500, unit: "g" }, system: "us", expected: { amount: 1.1, unit: "pound", method: "fixed" } },
+    { name: "US volumes to grams through Spoonacular", ingredient: { amount: 2, unit: "cups" }, system: "metric", expected: { amount: 240, unit: "gram", method: "spoonacular-convert" } },
+    { name: "US volumes to milliliters when Spoonacular can't", ingredient: { amount: 2, unit: "tbsp" }, system: "metric", expected: { amount: 30, unit: "milliliter", method: "fixed" } },
+    { name: "units of the target system, tidied", ingredient: { amount: 6, unit: "teaspoons" }, system: "us", expected: { amount: 2, unit: "tablespoon", method: "none" } },
+    { name: "units without a system", ingredient: { amount: 3, unit: "cloves" }, system: "metric", expected: { amount: 3, unit: "cloves", method: "none" } },
+    {
+      name: "Spoonacular's measures when present",
+      ingredient: { amount: 2, unit: "cups", factor: 2, measures: { metric: { amount: 250, unitShort: "g" } } },
+      system: "metric",
+      expected: { amount: 500, unit: "gram", method: "spoonacular-measures" }
+    }
+  ];
+
+  for (const { name, ingredient, system, expected } of CASES) {
+    it(`converts ${name}`, async () => {
+      assert.deepEqual(await convertIngredient({ name: "flour", factor: 1, ...ingredient }, system, convert), expected);
+    });
+  }
+});
+
+describe("scaleRecipe", () => {
+  const recipe = {
+    id: 1,
+    servings: 2,
+    extendedIngredients: [{ id: 20081, name: "flour", amount: 1, unit: "cups", measures: { us: {}, metric: {} } }],
+    nutrition: { nutrients: [{ name: "Calories", amount: 300, unit: "kcal" }] }
+  };
+
+  it("scales amounts and nutrition totals", async () => {
+    const scaled = await scaleRecipe(recipe, { servings: 6 }, convert);
+    assert.equal(scaled.servings, 6);
+    assert.deepEqual(scaled.extendedIngredients[0], { id: 20081, name: "flour", amount: 3, unit: "cups", originalAmount: 1, originalUnit: "cups" });
+    assert.deepEqual(scaled.nutrition.nutrients, recipe.nutrition.nutrients);
+    assert.deepEqual(scaled.nutrition.totals, [{ name: "Calories", amount: 1800, unit: "kcal" }]);
+    assert.deepEqual(scaled.scaling, { originalServings: 2, servings: 6, factor: 3, units: null });
+  });
+
+  it("converts after scaling", async () => {
+    const scaled = await scaleRecipe(recipe, { servings: 4, system: "metric" }, convert);
+    assert.equal(scaled.extendedIngredients[0].amount, 240);
+    assert.equal(scaled.extendedIngredients[0].unit, "gram");
+    assert.equal(scaled.extendedIngredients[0].conversion, "spoonacular-convert");
+  });
+});
+
+describe("GET /api/recipe/:id/scaled", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(() => server.mock.reset());
+
+  after(() => server.close());
+
+  it("scales the cached recipe and converts to metric", async () => {
+    server.mock.respond("/recipes/convert", ({ query }) => ({
+      body: { sourceAmount: 1, sourceUnit: query.sourceUnit, targetAmount: query.sourceUnit === "cups" ? 100 : 13.5, targetUnit: "grams" }
+    }));
+
+    const { status, body } = await server.request("/api/recipe/716429/scaled?servings=7&units=metric");
+    assert.equal(status, 200);
+    assert.deepEqual(body.scaling, { originalServings: 2, servings: 7, factor: 3.5, units: "metric" });
+
+    const byName = Object.fromEntries(body.extendedIngredients.map(ingredient => [ingredient.nameClean, ingredient]));
+    assert.deepEqual([byName.cauliflower.amount, byName.cauliflower.unit], [1.4, "kilogram"]);
+    assert.deepEqual([byName["olive oil"].amount, byName["olive oil"].unit], [95, "gram"]);
+    assert.deepEqual([byName.pasta.amount, byName.pasta.unit, byName.pasta.conversion], [595, "gram", "fixed"]);
+    assert.equal(body.nutrition.totals.find(nutrient => nutrient.name === "Calories").amount, 4091.22);
+
+    // Conversions are looked up once per ingredient and unit, for 1 unit
+    const lookups = server.mock.requestsFor("/recipes/convert");
+    assert.equal(lookups.length, 2);
+    assert.ok(lookups.every(lookup => lookup.query.sourceAmount === "1"));
+  });
+
+  it("returns the recipe view with the scaling block", async () => {
+    const { body } = await server.request("/api/recipe/716429/scaled?servings=1&fields=ingredients");
+    assert.equal(body.schemaVersion, 1);
+    assert.equal(body.ingredients.find(ingredient => ingredient.name === "pasta").amount, 3);
+    assert.equal(body.scaling.factor, 0.5);
+  });
+
+  it("requires servings or units", async () => {
+    const { status, body } = await server.request("/api/recipe/716429/scaled");
+    assert.equal(status, 400);
+    assert.equal(body.code, "VALIDATION_ERROR");
+  });
+});
@@ -0,0 +1,105 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { RECIPE_FIELDS, RECIPE_SCHEMA_VERSION, RECIPE_VIEWS, normalizeRecipe } from "../lib/recipeViews.js";
+import { startTestServer } from "./helpers.js";
+
+describe("normalizeRecipe", () => {
+  it("maps Spoonacular fields to the recipe schema", () => {
+    const recipe = normalizeRecipe({
+      id: 1,
+      title: "Soup",
+      imageType: "png",
+      summary: "A <b>warm</b> soup",
+      readyInMinutes: 30,
+      preparationMinutes: -1,
+      cookingMinutes: 20,
+      servings: 4,
+      extendedIngredients: [{ id: 11, name: "carrots", nameClean: "carrot", amount: 2, unit: "Tbsps", aisle: "Produce", original: "2 tbsps carrots" }],
+      analyzedInstructions: [
+        { name: "", steps: [{ number: 1, step: "Chop." }] },
+        { name: "Finish", steps: [{ number: 1, step: "Simmer." }] }
+      ],
+      nutrition: { nutrients: [{ name: "Calories", amount: 210 }, { name: "Protein", amount: 5 }] }
+    });
+
+    assert.deepEqual(Object.keys(recipe), RECIPE_FIELDS);
+    assert.equal(recipe.image, "https://img.spoonacular.com/recipes/1-556x370.png");
+    assert.equal(recipe.summary, "A warm soup");
+    assert.deepEqual(recipe.times, { readyInMinutes: 30, preparationMinutes: null, cookingMinutes: 20 });
+    assert.deepEqual(recipe.ingredients, [{ id: 11, name: "carrot", amount: 2, unit: "tablespoon", aisle: "Produce", original: "2 tbsps carrots" }]);
+    assert.deepEqual(recipe.steps, [{ number: 1, text: "Chop." }, { number: 2, text: "Simmer." }]);
+    assert.deepEqual(recipe.macros, { calories: 210, protein: 5, fat: null, carbs: null });
+  });
+
+  it("keeps every field when Spoonacular returned little", () => {
+    const recipe = normalizeRecipe({ id: 2, title: "Toast" });
+    assert.deepEqual(Object.keys(recipe), RECIPE_FIELDS);
+    assert.equal(recipe.image, null);
+    assert.deepEqual(recipe.ingredients, []);
+    assert.equal(recipe.macros, null);
+  });
+});
+
+describe("recipe views", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it("returns the raw payload without view or fields", async () => {
+    const { body } = await server.request("/api/recipe/716429");
+    assert.equal(body.schemaVersion, undefined);
+    assert.ok(Array.isArray(body.extendedIngredients));
+  });
+
+  it("returns the card view with the cache envelope", async () => {
+    const { status, body } = await server.request("/api/recipe/716429?view=card");
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body), ["schemaVersion", ...RECIPE_VIEWS.card, "fromCache", "timestamp"]);
+    assert.equal(body.schemaVersion, RECIPE_SCHEMA_VERSION);
+    assert.equal(body.times.readyInMinutes, 45);
+  });
+
+  it("projects the requested fields, always with the id", async () => {
+    const { body } = await server.request("/api/recipe/716429?fields=macros,title");
+    assert.deepEqual(Object.keys(body), ["schemaVersion", "id", "macros", "title", "fromCache", "timestamp"]);
+    assert.equal(body.macros.calories, 584.46);
+  });
+
+  it("rejects unknown fields and combining view with fields", async () => {
+    const unknown = await server.request("/api/recipe/716429?fields=title,extendedIngredients");
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.details[0].field, "fields");
+
+    const both = await server.request("/api/recipe/716429?view=card&fields=title");
+    assert.equal(both.status, 400);
+  });
+
+  const LIST_ROUTES = [
+    { name: "search", path: "/api/searchRecipes?query=pasta&view=card" },
+    { name: "similar", path: "/api/recipe/716429/similar?view=card" },
+    { name: "random", path: "/api/recipes/random?view=card" },
+    { name: "bulk", path: "/api/recipes/bulk?view=card", method: "POST", body: { ids: [716429, 715538] } }
+  ];
+
+  for (const { name, path, method, body: requestBody } of LIST_ROUTES) {
+    it(`applies the view to ${name} results`, async () => {
+      const { status, body } = await server.request(path, { method, body: requestBody });
+      assert.equal(status, 200);
+      assert.equal(body.schemaVersion, RECIPE_SCHEMA_VERSION);
+      assert.ok(body.results.length > 0);
+      for (const recipe of body.results) {
+        assert.deepEqual(Object.keys(recipe), RECIPE_VIEWS.card);
+        assert.match(recipe.image, /^https:\/\//);
+      }
+    });
+  }
+
+  it("keeps the view in search page links", async () => {
+    const { body } = await server.request("/api/searchRecipes?query=pasta&number=1&fields=title");
+    assert.match(body.pagination.next, /fields=title/);
+  });
+});
@@ -0,0 +1,118 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import os from "os";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { createRecordStore, createRecordStoreFromEnv } from "../lib/recordStore.js";
+
+describe("file-backed record store", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), "spoonacular-records-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("writes every change through to its file", async () => {
+    const file = path.join(dir, "plans.json");
+    const store = createRecordStore({ file });
+
+    const kept = await store.create({ name: "Week 1" });
+    const dropped = await store.create({ name: "Week 2" });
+    assert.ok(kept.id && kept.createdAt === kept.updatedAt);
+
+    const updated = await store.update(kept.id, { name: "Week 1, renamed", id: "ignored", createdAt: "ignored" });
+    assert.equal(updated.id, kept.id);
+    assert.equal(updated.createdAt, kept.createdAt);
+    assert.equal(await store.delete(dropped.id), true);
+
+    assert.deepEqual(JSON.parse(await readFile(file, "utf8")), { [kept.id]: updated });
+  });
+
+  it("reads the records back after a restart", async () => {
+    const file = path.join(dir, "restart.json");
+    const record = await createRecordStore({ file }).create({ name: "Favorites", recipeIds: [716429] });
+
+    const reopened = createRecordStore({ file });
+    assert.deepEqual(await reopened.get(record.id), record);
+    assert.deepEqual(await reopened.list(), [record]);
+  });
+
+  it("answers missing records without writing", async () => {
+    const file = path.join(dir, "missing.json");
+    const store = createRecordStore({ file });
+
+    assert.equal(await store.get("nope"), undefined);
+    assert.equal(await store.update("nope", { name: "x" }), undefined);
+    assert.equal(await store.delete("nope"), false);
+    await assert.rejects(readFile(file), { code: "ENOENT" });
+  });
+
+  it("keeps every record of concurrent writes", async () => {
+    const file = path.join(dir, "concurrent.json");
+    const store = createRecordStore({ file });
+    await store.list();
+
+    const records = await Promise.all(Array.from({ length: 5 }, (_, index) => store.create({ index })));
+    const stored = JSON.parse(await readFile(file, "utf8"));
+    assert.deepEqual(Object.keys(stored).sort(), records.map(record => record.id).sort());
+  });
+
+  it("applies concurrent changes to the current record", async () => {
+    const file = path.join(dir, "changes.json");
+    const store = createRecordStore({ file });
+    const { id } = await store.create({ tags: [] });
+
+    await Promise.all(["a", "b", "c"].map(tag => store.update(id, async record => {
+      await new Promise(resolve => setImmediate(resolve));
+      return { ...record, tags: [...record.tags, tag] };
+    })));
+    await assert.rejects(store.update(id, () => {
+      throw new Error("refused");
+    }), /refused/);
+
+    assert.deepEqual((await store.get(id)).tags, ["a", "b", "c"]);
+    assert.deepEqual(JSON.parse(await readFile(file, "utf8"))[id].tags, ["a", "b", "c"]);
+  });
+
+  it("creates one record for concurrent upserts", async () => {
+    const store = createRecordStore({ file: path.join(dir, "upserts.json") });
+    const add = tag => store.upsert(record => record.owner === "alice", record => ({ owner: "alice", tags: [...(record?.tags || []), tag] }));
+
+    const [first, second] = await Promise.all([add("a"), add("b")]);
+    assert.equal(first.id, second.id);
+    assert.equal(second.createdAt, first.createdAt);
+    assert.deepEqual(await store.list(), [second]);
+    assert.deepEqual(second.tags, ["a", "b"]);
+  });
+
+  it("loads an existing file once for concurrent first calls", async () => {
+    const file = path.join(dir, "first-calls.json");
+    const existing = await createRecordStore({ file }).create({ name: "Existing" });
+
+    const store = createRecordStore({ file });
+    const [listed, created] = await Promise.all([store.list(), store.create({ name: "New" }), store.create({ name: "Newer" })]);
+    assert.deepEqual(listed, [existing]);
+
+    const stored = JSON.parse(await readFile(file, "utf8"));
+    assert.equal(Object.keys(stored).length, 3);
+    assert.deepEqual(stored[created.id], created);
+    assert.deepEqual(await store.get(existing.id), existing);
+  });
+
+  it("reads the file again after a failed load", async () => {
+    const file = path.join(dir, "corrupt.json");
+    await writeFile(file, "{not json");
+    const store = createRecordStore({ file });
+    await assert.rejects(store.list(), SyntaxError);
+
+    await writeFile(file, JSON.stringify({ kept: { id: "kept", name: "Kept" } }));
+    assert.deepEqual(await store.list(), [{ id: "kept", name: "Kept" }]);
+  });
+
+  it("stores <DATA_DIR>/<name>.json", async () => {
+    const record = await createRecordStoreFromEnv("collections", { DATA_DIR: dir }).create({ name: "Desserts" });
+    assert.deepEqual(JSON.parse(await readFile(path.join(dir, "collections.json"), "utf8")), { [record.id]: record });
+  });
+});
@@ -0,0 +1,87 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import os from "os";
+import { mkdtemp, readdir, readFile, rm } from "fs/promises";
+import { recordingKey } from "../lib/recorder.js";
+import { startTestServer, TEST_API_KEY } from "./helpers.js";
+
+describe("recordingKey", () => {
+  it("ignores apiKey and parameter order", () => {
+    const a = recordingKey("http://x/recipes/complexSearch?query=pasta&apiKey=one&number=2");
+    const b = recordingKey("http://x/recipes/complexSearch?number=2&query=pasta&apiKey=two");
+    assert.deepEqual(a, b);
+    assert.deepEqual(a, { method: "GET", path: "/recipes/complexSearch", params: "number=2&query=pasta" });
+  });
+
+  it("keys form POSTs by their body", () => {
+    const key = recordingKey("http://x/recipes/cuisine", {
+      method: "POST",
+      body: new URLSearchParams({ title: "Pasta", apiKey: "secret" })
+    });
+    assert.deepEqual(key, { method: "POST", path: "/recipes/cuisine", params: "title=Pasta" });
+  });
+});
+
+describe("record and replay", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), "spoonacular-recordings-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("replays recorded responses without calling Spoonacular", async () => {
+    const recorder = await startTestServer({ env: { UPSTREAM_MODE: "record", RECORDINGS_DIR: dir } });
+    const recorded = await recorder.request("/api/recipe/716429");
+    await recorder.request("/api/recipes/classifyCuisine", { method: "POST", body: { title: "Pasta", ingredientList: "pasta" } });
+    await recorder.close();
+
+    const files = await readdir(dir);
+    assert.equal(files.length, 2);
+    for (const file of files) {
+      assert.ok(!(await readFile(path.join(dir, file), "utf8")).includes(TEST_API_KEY));
+    }
+
+    const replayer = await startTestServer({ env: { UPSTREAM_MODE: "replay", RECORDINGS_DIR: dir } });
+    try {
+      const replayed = await replayer.request("/api/recipe/716429");
+      assert.equal(replayed.status, 200);
+      assert.equal(replayed.body.title, recorded.body.title);
+
+      const cuisine = await replayer.request("/api/recipes/classifyCuisine", {
+        method: "POST",
+        body: { title: "Pasta", ingredientList: "pasta" }
+      });
+      assert.equal(cuisine.body.cuisine, "Italian");
+      assert.equal(replayer.mock.requests.length, 0);
+
+      const health = await replayer.request("/api/health");
+      assert.equal(health.body.upstream.mode, "replay");
+      assert.equal(health.body.upstream.recordings.replayed, 2);
+    } finally {
+      await replayer.close();
+    }
+  });
+
+  it("fails loudly on an unrecorded request in replay mode", async () => {
+    const replayer = await startTestServer({ env: { UPSTREAM_MODE: "replay", RECORDINGS_DIR: dir } });
+    try {
+      const { status, body } = await replayer.request("/api/recipe/1");
+      assert.equal(status, 501);
+      assert.equal(body.code, "NOT_RECORDED");
+      assert.match(body.details, /GET \/recipes\/1\/information\?includeNutrition=true/);
+      assert.equal(replayer.mock.requests.length, 0);
+
+      // An expired entry still in its grace period isn't served instead
+      const fetchedAt = Date.now() - 7200 * 1000;
+      await replayer.app.locals.services.cache.set("equipment_2", { data: { equipment: [] }, fetchedAt, ttl: 3600 }, 600);
+      const expired = await replayer.request("/api/recipe/2/equipment");
+      assert.equal(expired.status, 501);
+      assert.equal(expired.body.code, "NOT_RECORDED");
+    } finally {
+      await replayer.close();
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, TEST_API_KEY } from "./helpers.js";
+
+// Every proxied route with a valid request and the Spoonacular route it calls
+const PROXIED_ROUTES = [
+  { path: "/api/searchRecipes?query=pasta", upstream: "/recipes/complexSearch" },
+  { path: "/api/searchRecipesByNutrients?maxCalories=800", upstream: "/recipes/findByNutrients" },
+  { path: "/api/searchRecipesByIngredients?ingredients=garlic,pasta", upstream: "/recipes/findByIngredients" },
+  { path: "/api/recipe/716429", upstream: "/recipes/{id}/information" },
+  { method: "POST", path: "/api/recipes/bulk", body: { ids: [716429, 715538] }, upstream: "/recipes/informationBulk" },
+  { path: "/api/recipe/716429/similar", upstream: "/recipes/{id}/similar" },
+  { path: "/api/recipes/random?tags=vegetarian", upstream: "/recipes/random" },
+  { path: "/api/recipes/autocomplete?query=pasta", upstream: "/recipes/autocomplete" },
+  { path: "/api/recipe/716429/taste", upstream: "/recipes/{id}/tasteWidget.json" },
+  { path: "/api/recipe/716429/equipment", upstream: "/recipes/{id}/equipmentWidget.json" },
+  { path: "/api/recipe/716429/price", upstream: "/recipes/{id}/priceBreakdownWidget.json" },
+  { path: "/api/recipe/716429/ingredients", upstream: "/recipes/{id}/ingredientWidget.json" },
+  { path: "/api/recipe/716429/nutrition", upstream: "/recipes/{id}/nutritionWidget.json" },
+  { path: "/api/recipe/716429/analyzedInstructions", upstream: "/recipes/{id}/analyzedInstructions" },
+  { method: "POST", path: "/api/recipes/extract", body: { url: "https://example.com/pancakes" }, upstream: "/recipes/extract" },
+  {
+    method: "POST",
+    path: "/api/recipes/analyze",
+    body: { title: "Spaghetti Carbonara", servings: 2, ingredients: "500g spaghetti", instructions: "Cook." },
+    upstream: "/recipes/analyze"
+  },
+  { path: "/api/recipe/716429/summary", upstream: "/recipes/{id}/summary" },
+  { method: "POST", path: "/api/recipes/analyzeInstructions", body: { instructions: "Boil the water." }, upstream: "/recipes/analyzeInstructions" },
+  { method: "POST", path: "/api/recipes/classifyCuisine", body: { title: "Pasta", ingredientList: "pasta" }, upstream: "/recipes/cuisine" },
+  { path: "/api/recipes/analyzeQuery?q=bacon%20burger", upstream: "/recipes/queries/analyze" },
+  { path: "/api/recipes/guessNutrition?title=Spaghetti%20Aglio%20e%20Olio", upstream: "/recipes/guessNutrition" },
+  { path: "/api/ingredients/autocomplete?query=appl", upstream: "/food/ingredients/autocomplete" },
+  { path: "/api/ingredients/search?query=apple", upstream: "/food/ingredients/search" },
+  { path: "/api/ingredients/9266/information", upstream: "/food/ingredients/{id}/information" },
+  { path: "/api/ingredients/9266/amount?nutrient=protein&target=2", upstream: "/food/ingredients/{id}/amount" },
+  {
+    path: "/api/ingredients/convert?ingredientName=flour&sourceAmount=1&sourceUnit=cup&targetUnit=tablespoons",
+    upstream: "/recipes/convert"
+  },
+  { method: "POST", path: "/api/ingredients/parse", body: { ingredientList: "1 cup flour" }, upstream: "/recipes/parseIngredients" },
+  { method: "POST", path: "/api/ingredients/glycemicLoad", body: { ingredientList: ["1 cup pasta"] }, upstream: "/food/ingredients/glycemicLoad" },
+  { path: "/api/ingredients/substitutes?ingredientName=butter", upstream: "/food/ingredients/substitutes" },
+  { path: "/api/ingredients/1001/substitutes", upstream: "/food/ingredients/{id}/substitutes" }
+];
+
+describe("proxied routes", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  for (const route of PROXIED_ROUTES) {
+    it(`${route.method || "GET"} ${route.path} calls ${route.upstream}`, async () => {
+      server.mock.reset();
+      const { status, body } = await server.request(route.path, { method: route.method, body: route.body });
+
+      assert.equal(status, 200, JSON.stringify(body));
+      assert.equal(body.fromCache, false);
+      assert.ok(body.timestamp);
+
+      const [upstreamRequest, ...rest] = server.mock.requestsFor(route.upstream);
+      assert.ok(upstreamRequest, `expected a request to ${route.upstream}`);
+      assert.equal(rest.length, 0);
+      const apiKey = upstreamRequest.method === "POST" ? upstreamRequest.body.apiKey : upstreamRequest.query.apiKey;
+      assert.equal(apiKey, TEST_API_KEY);
+    });
+  }
+
+  it("wraps array responses in results", async () => {
+    const { body } = await server.request("/api/recipe/716429/similar");
+    assert.ok(Array.isArray(body.results));
+    assert.equal(body.results[0].id, 715538);
+  });
+});
@@ -0,0 +1,173 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { coerceField, validateRequest } from "../lib/validation.js";
+import { startTestServer } from "./helpers.js";
+
+// Invalid requests that must be rejected before anything is sent upstream
+const INVALID_REQUESTS = [
+  { path: "/api/searchRecipes" },
+  { path: "/api/searchRecipes?query=pasta&number=500" },
+  { path: "/api/searchRecipes?query=pasta&cuisine=martian" },
+  { path: "/api/searchRecipes?query=pasta&sort=tastiness" },
+  { path: "/api/searchRecipesByNutrients?maxCalories=lots" },
+  { path: "/api/searchRecipesByNutrients?minProtein=-5" },
+  { path: "/api/searchRecipesByIngredients" },
+  { path: "/api/searchRecipesByIngredients?ingredients=garlic&ranking=3" },
+  { path: "/api/recipe/abc" },
+  { path: "/api/recipe/abc/similar" },
+  { path: "/api/recipe/abc/nutrition" },
+  { path: "/api/recipe/0/taste" },
+  { path: "/api/recipe/1.5/summary" },
+  { path: "/api/recipe/716429/similar?number=0" },
+  { method: "POST", path: "/api/recipes/bulk", body: { ids: "716429" } },
+  { method: "POST", path: "/api/recipes/bulk", body: { ids: [716429, "abc"] } },
+  { path: "/api/recipes/random?number=101" },
+  { path: "/api/recipes/autocomplete" },
+  { method: "POST", path: "/api/recipes/extract", body: {} },
+  { method: "POST", path: "/api/recipes/extract", body: { url: "javascript:alert(1)" } },
+  { method: "POST", path: "/api/recipes/analyze", body: { title: "Pasta" } },
+  { method: "POST", path: "/api/recipes/analyzeInstructions", body: {} },
+  { method: "POST", path: "/api/recipes/classifyCuisine", body: {} },
+  { path: "/api/recipes/analyzeQuery" },
+  { path: "/api/recipes/guessNutrition" },
+  { path: "/api/ingredients/autocomplete" },
+  { path: "/api/ingredients/search" },
+  { path: "/api/ingredients/abc/information" },
+  { path: "/api/ingredients/9266/amount?nutrient=protein" },
+  { path: "/api/ingredients/convert?ingredientName=flour&sourceAmount=1" },
+  { path: "/api/ingredients/convert?ingredientName=flour&sourceAmount=two&sourceUnit=cups&targetUnit=grams" },
+  { path: "/api/ingredients/autocomplete?query=appl&intolerances=sugar" },
+  { method: "POST", path: "/api/ingredients/parse", body: {} },
+  { method: "POST", path: "/api/ingredients/glycemicLoad", body: {} },
+  { path: "/api/ingredients/substitutes" },
+  { path: "/api/ingredients/abc/substitutes" },
+  { method: "POST", path: "/api/shoppingList", body: {} },
+  { method: "POST", path: "/api/shoppingList", body: { recipes: [] } },
+  { method: "POST", path: "/api/shoppingList", body: { ids: [716429], servings: 0 } },
+  { method: "POST", path: "/api/shoppingList", body: { ids: [716429], pantry: [{ amount: 2 }] } },
+  { method: "POST", path: "/api/mealPlans", body: { targetCalories: 50 } },
+  { method: "POST", path: "/api/mealPlans", body: { timeFrame: "month" } },
+  { method: "POST", path: "/api/mealPlans", body: { diet: "carnivore" } },
+  { method: "POST", path: "/api/mealPlans/abc/days/1/meals/brunch/swap", body: {} },
+  { method: "POST", path: "/api/mealPlans/abc/days/1/meals/lunch/swap", body: { recipeId: -1 } },
+];
+
+describe("validation", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  for (const { method = "GET", path, body } of INVALID_REQUESTS) {
+    it(`rejects ${method} ${path}${body ? ` ${JSON.stringify(body)}` : ""}`, async () => {
+      server.mock.reset();
+      const response = await server.request(path, { method, body });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, "Invalid request parameters");
+      assert.equal(response.body.code, "VALIDATION_ERROR");
+      assert.ok(response.body.details.length > 0);
+      for (const detail of response.body.details) {
+        assert.ok(["params", "query", "body"].includes(detail.in));
+        assert.equal(typeof detail.field, "string");
+        assert.equal(typeof detail.message, "string");
+      }
+      assert.ok(response.body.example);
+      assert.equal(server.mock.requests.length, 0);
+    });
+  }
+
+  it("lists every invalid search parameter", async () => {
+    const { body } = await server.request("/api/searchRecipes?query=pasta&diet=carnivore&offset=-1");
+    assert.deepEqual(body.details.map(detail => detail.field), ["diet", "offset"]);
+  });
+
+  it("forwards coerced values upstream", async () => {
+    server.mock.reset();
+    await server.request("/api/searchRecipesByIngredients?ingredients=Garlic,%20Pasta&ignorePantry=true");
+
+    const [upstream] = server.mock.requestsFor("/recipes/findByIngredients");
+    assert.equal(upstream.query.ingredients, "garlic,pasta");
+    assert.equal(upstream.query.number, "12");
+    assert.equal(upstream.query.ignorePantry, "true");
+  });
+});
+
+describe("coerceField", () => {
+  it("applies defaults and range checks to integers", () => {
+    const spec = { type: "integer", min: 1, max: 100, default: 10 };
+    assert.deepEqual(coerceField(spec, undefined), { value: 10 });
+    assert.deepEqual(coerceField(spec, "25"), { value: 25 });
+    assert.deepEqual(coerceField(spec, "0"), { error: "must be an integer between 1 and 100" });
+    assert.deepEqual(coerceField(spec, "2.5"), { error: "must be an integer between 1 and 100" });
+  });
+
+  it("maps enum lists onto their canonical spelling, sorted", () => {
+    const spec = { type: "enum", values: ["Italian", "Thai"], list: true };
+    assert.deepEqual(coerceField(spec, "thai, ITALIAN"), { value: "Italian,Thai" });
+    assert.match(coerceField(spec, "martian").error, /"martian" is not one of Italian, Thai/);
+  });
+
+  it("joins text arrays with newlines", () => {
+    assert.deepEqual(coerceField({ type: "text" }, ["1 egg", "2 cups flour"]), { value: "1 egg\n2 cups flour" });
+  });
+
+  it("validates array items", () => {
+    const spec = { type: "array", maxItems: 2, items: { type: "integer", min: 1 } };
+    assert.deepEqual(coerceField(spec, ["1", 2]), { value: [1, 2] });
+    assert.match(coerceField(spec, [1, -1]).error, /item 1/);
+    assert.match(coerceField(spec, [1, 2, 3]).error, /between 0 and 2 items/);
+  });
+
+  it("reads a string as the shorthand field of an object", () => {
+    const spec = { type: "object", shorthand: "name", fields: { name: { type: "string", required: true }, amount: { type: "number" } } };
+    assert.deepEqual(coerceField(spec, " salt "), { value: { name: "salt" } });
+    assert.deepEqual(coerceField(spec, { name: "flour", amount: "200" }), { value: { name: "flour", amount: 200 } });
+    assert.match(coerceField(spec, { amount: 1 }).error, /name is required/);
+  });
+
+  it("accepts real calendar dates only", () => {
+    assert.deepEqual(coerceField({ type: "date" }, " 2024-02-29 "), { value: "2024-02-29" });
+    for (const raw of ["2023-02-29", "2024-13-01", "29/02/2024", 20240229]) {
+      assert.deepEqual(coerceField({ type: "date" }, raw), { error: "must be a date as YYYY-MM-DD" });
+    }
+  });
+
+  it("validates object fields and passes free-form objects as-is", () => {
+    const spec = { type: "object", fields: { path: { type: "string", required: true }, n: { type: "integer" } } };
+    assert.deepEqual(coerceField(spec, { path: " /a ", n: "2", extra: true }), { value: { path: "/a", n: 2 } });
+    assert.deepEqual(coerceField(spec, { n: 1 }), { error: "path is required" });
+    assert.deepEqual(coerceField({ type: "object" }, { any: ["thing"] }), { value: { any: ["thing"] } });
+    assert.deepEqual(coerceField({ type: "object" }, [1]), { error: "must be an object" });
+  });
+});
+
+describe("validateRequest", () => {
+  it("collects errors from every part of the request and skips check until they pass", () => {
+    const schema = {
+      params: { id: { type: "integer", required: true } },
+      body: { name: { type: "string", required: true } },
+      check: () => [{ in: "body", field: "name", message: "never valid" }]
+    };
+
+    const invalid = validateRequest(schema, { params: { id: "x" }, query: {}, body: {} });
+    assert.deepEqual(invalid.errors.map(error => `${error.in}.${error.field}`), ["params.id", "body.name"]);
+
+    const checked = validateRequest(schema, { params: { id: "1" }, query: {}, body: { name: "a" } });
+    assert.deepEqual(checked.errors, [{ in: "body", field: "name", message: "never valid" }]);
+    assert.deepEqual(checked.values, { params: { id: 1 }, query: {}, body: { name: "a" }, headers: {} });
+  });
+
+  it("validates headers by lower-case name", () => {
+    const schema = { headers: { "x-user-id": { type: "string", required: true } } };
+
+    const missing = validateRequest(schema, { params: {}, query: {}, body: {}, headers: {} });
+    assert.deepEqual(missing.errors.map(error => `${error.in}.${error.field}`), ["headers.x-user-id"]);
+
+    const valid = validateRequest(schema, { params: {}, query: {}, body: {}, headers: { "x-user-id": "alice", host: "localhost" } });
+    assert.deepEqual(valid.values.headers, { "x-user-id": "alice" });
+  });
+});